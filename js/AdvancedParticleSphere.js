@@ -2,25 +2,93 @@
  * AdvancedParticleSphere - Enhanced 3D particle system with metallic materials
  * Features MeshPhysicalMaterial for realistic metallic/refractive effects
  */
-class AdvancedParticleSphere {
-    constructor(container) {
+class AdvancedParticleSphere extends EventEmitter {
+    /**
+     * Register a shape generator for every visualizer on the page
+     */
+    static registerShape(name, generator) {
+        ShapeRegistry.global.register(name, generator);
+    }
+    
+    
+    constructor(container, options = {}) {
+        super();
         this.container = container;
+        this.options = { ...options };
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
         this.particles = [];
         this.particleGroup = null;
+        this.particleGeometry = null;
+        this.instancedRenderer = null;
+        
+        // Renderer-free layouts, targets, repulsion and eased positions (see ParticleSimulation); rebuilt
+        // with the particles. The CPU render modes copy simulation.positions into the meshes or instances
+        this.simulation = null;
+        this.previousPositions = null;
+        this.scratchTarget = new THREE.Vector3();
+        this.scratchVelocity = new THREE.Vector3();
+        this.scratchWarp = new THREE.Vector3();
+        
+        // Seeded stream for applyImpulse()'s tie-breaking directions, rebuilt with the seed
+        this.impulseRandom = null;
         this.raycaster = null;
         this.mouse = null;
         this.clock = null;
         
-        // Particle system parameters
-        this.particleCount = 400;
-        this.particleSize = 0.04;
+        // Simulation time: step(dt) advances it, from the animation loop or, with a manual clock
+        // (options.manualClock / setManualClock()), only when called by the host
+        this.time = 0;
+        this.deltaTime = 0;
+        this.manualClock = options.manualClock === true;
+        
+        // Viewport sizing: follows the container's box unless options fix a width/height
+        // or an aspectRatio (width / height, with height derived from the container width)
+        this.resizeObserver = null;
+        this.handleWindowResize = () => this.onWindowResize();
+        this.viewportWidth = 0;
+        this.viewportHeight = 0;
+        
+        // Lifecycle: the loop runs while started, not disposed, and (with autoPause) while the
+        // tab is visible and the container is on screen; pause() freezes time but keeps rendering
+        this.animationFrameId = null;
+        this.isReady = false;
+        this.isRunning = false;
+        this.isLooping = false;
+        this.isPaused = false;
+        this.isDisposed = false;
+        this.isHidden = false;
+        this.isOnscreen = true;
+        this.intersectionObserver = null;
+        this.handlePointerDown = (event) => this.onPointerDown(event);
+        this.handlePointerMove = (event) => this.onPointerMove(event);
+        this.handlePointerUp = (event) => this.onPointerUp(event);
+        this.handlePointerLeave = (event) => this.removePointer(event.pointerId);
+        this.handleVisibilityChange = () => {
+            this.isHidden = document.hidden;
+            this.updateLoop();
+        };
+        
+        // Particle system parameters; options are clamped like setParticleCount() / setParticleSize()
+        this.particleCount = options.particleCount !== undefined
+            ? Math.round(AdvancedParticleSphere.clampToRange(options.particleCount, AdvancedParticleSphere.PARTICLE_COUNT_RANGE))
+            : 400;
+        this.particleSize = options.particleSize !== undefined
+            ? AdvancedParticleSphere.clampToRange(options.particleSize, AdvancedParticleSphere.PARTICLE_SIZE_RANGE)
+            : 0.04;
         this.sphereRadius = 6.0; // Much bigger cluster
         this.scatterRadius = 20; // Much larger to fill the screen
         
+        // Scatter positions and shape layouts are drawn from streams of this seed (see SeededRandom),
+        // so the same seed and particle count always give the same layout; reseed() picks a new one
+        this.seed = options.seed !== undefined ? options.seed : SeededRandom.randomSeed();
+        
+        // Rendering backend: 'mesh' = one mesh per particle, 'instanced' = single InstancedMesh,
+        // 'gpu' = InstancedMesh with morph blending done in the vertex shader
+        this.renderMode = options.renderMode || 'mesh';
+        
         // Material properties
         this.materialProperties = {
             metalness: 0.9,
@@ -34,8 +102,12 @@ class AdvancedParticleSphere {
             emissiveIntensity: 0.05
         };
         
+        // Per-particle colour modes and palettes (see ParticleColorizer)
+        this.colorizer = new ParticleColorizer(this, options.colorMode);
+        
         // Animation parameters
         this.rotationSpeed = 0.3;
+        this.rotationAngle = 0;
         this.scatterValue = 0; // 0 = clustered, 1 = scattered
         this.clusterValue = 1; // 0 = scattered, 1 = clustered
         
@@ -45,16 +117,76 @@ class AdvancedParticleSphere {
         this.motionBlur = 0.2;
         this.lightspeedZoom = 0;
         
+        // Streak trails record and draw particle trails (mesh and instanced modes); motion blur keeps
+        // motionBlur x warpLevel of the previous frame, warpLevel (0..1) following how hard
+        // the lightspeed effect is running
+        this.streakRenderer = null;
+        this.motionBlurPass = null;
+        this.warpLevel = 0;
+        
+        // Bloom, vignette, grain and chromatic aberration (see PostProcessing); off by default
+        // on low-end devices unless options.postProcessing turns it on
+        this.postProcessing = null;
+        
         // Shape morphing parameters
         this.currentShape = 'sphere';
+        this.currentShapeOptions = {};
         this.outlineMode = false;
         this.shapeRotation = 0;
         
-        // Mouse interaction
+        // Morph targets: instance shapes layered over the shared built-ins
+        this.shapeRegistry = new ShapeRegistry(ShapeRegistry.global);
+        
+        // Morph tracking for morphstart/morphcomplete: morphDistance estimates how far
+        // particles still are from their targets (world units)
+        this.morphTolerance = options.morphTolerance || 0.05;
+        this.isMorphing = false;
+        this.morphDistance = null;
+        
+        // Optional spring-damper physics (mesh and instanced modes): particles accelerate toward
+        // their targets with a fixed timestep instead of lerping, so they can overshoot and bounce
+        this.physics = { ...AdvancedParticleSphere.DEFAULT_PHYSICS, ...options.physics };
+        this.physicsAccumulator = 0;
+        this.lastPhysicsTime = null;
+        
+        // Pointer interaction: every mouse, touch or pen pointer near the sphere repels particles;
+        // mousePosition / isMouseNear mirror the first such pointer
         this.mousePosition = new THREE.Vector3();
         this.interactionRadius = 2;
         this.interactionStrength = 0.5;
         this.isMouseNear = false;
+        this.pointers = new Map();
+        
+        // Gestures: true for the default action (pinch scatters, long-press clusters),
+        // a function to handle the gesture yourself, or false to disable
+        this.gestures = { ...AdvancedParticleSphere.DEFAULT_GESTURES, ...options.gestures };
+        this.pinchGesture = null;
+        this.longPressTimer = null;
+        
+        // Assistant state looks (see AssistantStateController); all zero = plain sphere
+        this.assistantController = null;
+        this.stateModulation = { breathe: 0, attention: 0, swirl: 0, swirlPhase: 0, pulse: 0 };
+        
+        // Keyframe timelines advanced every frame
+        this.timelines = new Set();
+        
+        // Force fields (see ForceField) displacing particle targets; mesh and instanced modes only
+        this.forceFields = new Set();
+        this.forceOffset = new THREE.Vector3();
+        
+        // Audio reactivity (additive offsets refreshed every frame by updateAudio)
+        this.audioReactor = null;
+        this.audioModulation = { scatter: 0, scale: 0, emissive: 0, rotation: 0 };
+        this.audioScaleTarget = new THREE.Vector3();
+        
+        // PNG sequence, WebM and screenshot capture (see FrameExporter), created on first use
+        this.frameExporter = null;
+        
+        // Render quality: particle geometry segments, pixel ratio cap, shadow maps, share of
+        // particleCount drawn and whether post-processing may run (it still has to be enabled);
+        // with options.adaptiveQuality a QualityManager steps it by measured frame time
+        this.quality = { ...AdvancedParticleSphere.DEFAULT_QUALITY, ...options.quality };
+        this.qualityManager = null;
         
         // Camera movement tracking for lightspeed effect
         this.lastCameraDistance = 10;
@@ -76,9 +208,12 @@ class AdvancedParticleSphere {
         this.scene.background = new THREE.Color(0x000000); // Pure black space background
         
         // Create camera
+        const { width, height } = this.getViewportSize();
+        this.viewportWidth = width;
+        this.viewportHeight = height;
         this.camera = new THREE.PerspectiveCamera(
             75, 
-            window.innerWidth / window.innerHeight, 
+            width / height, 
             0.1, 
             1000
         );
@@ -90,9 +225,9 @@ class AdvancedParticleSphere {
             alpha: true,
             powerPreference: "high-performance"
         });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.shadowMap.enabled = true;
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.renderer.shadowMap.enabled = this.quality.shadows;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1.2;
@@ -101,6 +236,13 @@ class AdvancedParticleSphere {
         // Enable physically correct lighting
         this.renderer.physicallyCorrectLights = true;
         this.container.appendChild(this.renderer.domElement);
+        this.motionBlurPass = new MotionBlurPass(this.renderer);
+        const postProcessing = this.options.postProcessing === false
+            ? { enabled: false }
+            : { enabled: !PostProcessing.isLowEndDevice(), ...this.options.postProcessing };
+        this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera, this.motionBlurPass, postProcessing);
+        this.postProcessing.setSuspended(!this.quality.postProcessing);
+        this.postProcessing.setSize(width, height);
         
         // Create orbit controls
         this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
@@ -113,23 +255,39 @@ class AdvancedParticleSphere {
         // Create enhanced lighting
         this.setupLighting();
         
-        // Create particle system
+        // Create particle system, starting out on options.shape (with options.shapeOptions) if given.
+        // A shape that fails leaves the sphere; the 'error' waits a microtask so listeners added
+        // right after construction hear it
         this.createParticles();
+        if (this.options.shape && this.options.shape !== 'sphere') {
+            try {
+                this.morphToShape(this.options.shape, this.options.shapeOptions);
+            } catch (error) {
+                console.warn('Could not start on shape:', error.message);
+                queueMicrotask(() => this.emit('error', { error, context: 'shape' }));
+            }
+        }
         console.log('Particles created:', this.particles.length);
         
         // Setup raycaster for mouse interaction
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         
-        // Create clock for animations
-        this.clock = new THREE.Clock();
+        // Real-time clock for the animation loop; it only runs while the loop advances the simulation
+        this.clock = new THREE.Clock(false);
         
         // Setup event listeners
         this.setupEventListeners();
         
+        if (this.options.adaptiveQuality) {
+            this.setAdaptiveQuality(this.options.adaptiveQuality);
+        }
+        
         // Start animation loop
-        this.animate();
-        console.log('Animation loop started');
+        if (this.options.autoStart !== false) {
+            this.start();
+            console.log('Animation loop started');
+        }
     }
     
     /**
@@ -178,7 +336,10 @@ class AdvancedParticleSphere {
         this.scene.add(this.particleGroup);
         
         // Create particle geometry
-        const particleGeometry = new THREE.SphereGeometry(this.particleSize, 16, 16);
+        const count = this.getRenderedParticleCount();
+        const segments = this.quality.segments;
+        const particleGeometry = new THREE.SphereGeometry(this.particleSize, segments, segments);
+        this.particleGeometry = particleGeometry;
         
         // Create MeshPhysicalMaterial for metallic space particles
         const particleMaterial = new THREE.MeshPhysicalMaterial({
@@ -196,344 +357,653 @@ class AdvancedParticleSphere {
             envMapIntensity: 1.2
         });
         
+        // Instanced backends share one geometry and material across every particle
+        if (this.renderMode === 'instanced' || this.renderMode === 'gpu') {
+            const Renderer = this.renderMode === 'gpu' ? GpuMorphRenderer : InstancedParticleRenderer;
+            this.instancedRenderer = new Renderer(
+                particleGeometry,
+                particleMaterial,
+                count
+            );
+            this.particleGroup.add(this.instancedRenderer.mesh);
+        }
+        
+        // The gpu backend moves particles in the shader, so there are no CPU trails to draw
+        if (this.renderMode !== 'gpu') {
+            this.streakRenderer = new StreakTrailRenderer(count);
+            this.particleGroup.add(this.streakRenderer.lines);
+        }
+        
+        // Sphere and scatter layouts come from the simulation core
+        this.simulation = new ParticleSimulation(count, {
+            sphereRadius: this.sphereRadius,
+            scatterRadius: this.scatterRadius,
+            seed: this.seed,
+            shapeRegistry: this.shapeRegistry
+        });
+        const { originalPositions, scatteredPositions } = this.simulation;
+        this.previousPositions = originalPositions.slice();
+        this.impulseRandom = SeededRandom.derive(this.seed, 'impulse').next;
+        
         // Create particles in a spherical distribution
-        for (let i = 0; i < this.particleCount; i++) {
-            // Generate spherical coordinates for even distribution
-            const phi = Math.acos(-1 + (2 * i) / this.particleCount);
-            const theta = Math.sqrt(this.particleCount * Math.PI) * phi;
-            
-            // Convert to Cartesian coordinates
-            const x = this.sphereRadius * Math.cos(theta) * Math.sin(phi);
-            const y = this.sphereRadius * Math.sin(theta) * Math.sin(phi);
-            const z = this.sphereRadius * Math.cos(phi);
+        for (let i = 0; i < count; i++) {
+            const x = originalPositions[i * 3];
+            const y = originalPositions[i * 3 + 1];
+            const z = originalPositions[i * 3 + 2];
             
-            // Create particle mesh
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial.clone());
+            // Create particle mesh, or an instance proxy for the instanced backend
+            let particle;
+            if (this.instancedRenderer) {
+                particle = this.instancedRenderer.createProxy(i, this.materialProperties);
+            } else {
+                particle = new THREE.Mesh(particleGeometry, particleMaterial.clone());
+                particle.castShadow = true;
+                particle.receiveShadow = true;
+            }
             particle.position.set(x, y, z);
-            particle.castShadow = true;
-            particle.receiveShadow = true;
             
             // Store original position and data for morphing
             particle.userData = {
                 originalPosition: new THREE.Vector3(x, y, z),
-                scatteredPosition: this.getScatteredPosition(),
+                scatteredPosition: new THREE.Vector3().fromArray(scatteredPositions, i * 3),
                 targetPosition: new THREE.Vector3(x, y, z),
                 shapePosition: new THREE.Vector3(x, y, z),
                 velocity: new THREE.Vector3(),
                 isInteracting: false,
                 interactionStartTime: 0,
                 originalScale: new THREE.Vector3(1, 1, 1),
-                streakTrail: [], // For lightspeed effect trails
                 lastPosition: new THREE.Vector3(x, y, z)
             };
             
             this.particles.push(particle);
-            this.particleGroup.add(particle);
+            if (!this.instancedRenderer) {
+                this.particleGroup.add(particle);
+            }
+        }
+        
+        // Start in the current colours rather than fading in from white
+        this.particles.forEach(particle => {
+            const t = this.colorizer.getGradientPosition(particle, particle.position, 0);
+            this.colorizer.sample(t, particle.material.color);
+        });
+        this.colorizer.isFading = true;
+        
+        if (this.renderMode === 'gpu') {
+            this.instancedRenderer.setTargets(this.particles);
+        } else if (this.instancedRenderer) {
+            this.instancedRenderer.update(this.particles);
         }
     }
     
     /**
-     * Generate a random scattered position for particles
+     * Setup event listeners for mouse interaction and window resizing
      */
-    getScatteredPosition() {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(Math.random() * 2 - 1);
-        const radius = this.scatterRadius * (0.2 + Math.random() * 0.8); // Wider distribution
+    setupEventListeners() {
+        // Pointer Events cover mouse, touch and pen
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.handlePointerDown);
+        canvas.addEventListener('pointermove', this.handlePointerMove);
+        canvas.addEventListener('pointerup', this.handlePointerUp);
+        canvas.addEventListener('pointercancel', this.handlePointerLeave);
+        canvas.addEventListener('pointerleave', this.handlePointerLeave);
         
-        return new THREE.Vector3(
-            radius * Math.sin(phi) * Math.cos(theta),
-            radius * Math.sin(phi) * Math.sin(theta),
-            radius * Math.cos(phi)
-        );
+        // Suspend the loop while the tab is hidden or the container is scrolled out of view
+        if (this.options.autoPause !== false) {
+            this.isHidden = document.hidden;
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            
+            if (typeof IntersectionObserver !== 'undefined') {
+                this.intersectionObserver = new IntersectionObserver(entries => {
+                    this.isOnscreen = entries[entries.length - 1].isIntersecting;
+                    this.updateLoop();
+                });
+                this.intersectionObserver.observe(this.container);
+            }
+        }
+        
+        // Follow the container's size; fall back to window resizes without ResizeObserver
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => {
+                this.onWindowResize();
+            });
+            this.resizeObserver.observe(this.container);
+        } else {
+            window.addEventListener('resize', this.handleWindowResize);
+        }
     }
     
     /**
-     * Generate smiley face positions
+     * Project a client-space point onto the plane through the sphere's center
+     * Returns false when the canvas has no size
      */
-    generateSmileyPositions() {
-        const positions = [];
-        const radius = 3;
-        
-        // Face outline (circle)
-        const outlineCount = Math.floor(this.particleCount * 0.4);
-        for (let i = 0; i < outlineCount; i++) {
-            const angle = (i / outlineCount) * Math.PI * 2;
-            const x = Math.cos(angle) * radius;
-            const y = Math.sin(angle) * radius;
-            positions.push(new THREE.Vector3(x, y, 0));
+    projectPointer(clientX, clientY, target) {
+        // Calculate pointer position in normalized device coordinates of the canvas
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+            return false;
         }
+        this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
         
-        // Eyes
-        const eyeCount = Math.floor(this.particleCount * 0.2);
-        for (let i = 0; i < eyeCount; i++) {
-            const angle = (i / eyeCount) * Math.PI * 2;
-            const eyeRadius = 0.5;
-            // Left eye
-            const leftX = Math.cos(angle) * eyeRadius - 1;
-            const leftY = Math.sin(angle) * eyeRadius + 1;
-            positions.push(new THREE.Vector3(leftX, leftY, 0));
-            // Right eye
-            const rightX = Math.cos(angle) * eyeRadius + 1;
-            const rightY = Math.sin(angle) * eyeRadius + 1;
-            positions.push(new THREE.Vector3(rightX, rightY, 0));
-        }
+        // Update raycaster
+        this.raycaster.setFromCamera(this.mouse, this.camera);
         
-        // Smile
-        const smileCount = Math.floor(this.particleCount * 0.2);
-        for (let i = 0; i < smileCount; i++) {
-            const angle = (i / smileCount) * Math.PI + Math.PI;
-            const smileRadius = 1.5;
-            const x = Math.cos(angle) * smileRadius;
-            const y = Math.sin(angle) * smileRadius - 0.5;
-            positions.push(new THREE.Vector3(x, y, 0));
+        // Find intersection with an invisible plane at the particle sphere's center
+        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        return this.raycaster.ray.intersectPlane(plane, target) !== null;
+    }
+    
+    /**
+     * Create or move the tracked pointer for a pointer event
+     */
+    updatePointer(event) {
+        let pointer = this.pointers.get(event.pointerId);
+        if (!pointer) {
+            pointer = {
+                id: event.pointerId,
+                type: event.pointerType,
+                position: new THREE.Vector3(),
+                clientX: event.clientX,
+                clientY: event.clientY,
+                startX: event.clientX,
+                startY: event.clientY,
+                downTime: 0,
+                isDown: false,
+                isPinching: false,
+                isNear: false,
+                startedNear: false,
+                dragged: false
+            };
+            this.pointers.set(event.pointerId, pointer);
         }
         
-        // Fill the rest with random positions inside the face
-        const remainingCount = this.particleCount - positions.length;
-        for (let i = 0; i < remainingCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const r = Math.random() * radius * 0.8;
-            const x = Math.cos(angle) * r;
-            const y = Math.sin(angle) * r;
-            positions.push(new THREE.Vector3(x, y, 0));
+        pointer.clientX = event.clientX;
+        pointer.clientY = event.clientY;
+        if (this.projectPointer(event.clientX, event.clientY, pointer.position)) {
+            pointer.isNear = pointer.position.distanceTo(this.particleGroup.position) < this.interactionRadius;
+        }
+        this.updateInteractionState();
+        return pointer;
+    }
+    
+    /**
+     * Forget a pointer that left the canvas, was cancelled or (for touch) lifted
+     */
+    removePointer(pointerId) {
+        if (!this.pointers.has(pointerId)) {
+            return;
+        }
+        this.pointers.delete(pointerId);
+        this.cancelLongPress();
+        this.updatePinch();
+        this.updateInteractionState();
+    }
+    
+    /**
+     * Derive isMouseNear / mousePosition from the tracked pointers and emit enter/leave events
+     */
+    updateInteractionState() {
+        const activePointers = Array.from(this.pointers.values()).filter(pointer => pointer.isNear);
+        const wasMouseNear = this.isMouseNear;
+        this.isMouseNear = activePointers.length > 0;
+        if (this.isMouseNear) {
+            this.mousePosition.copy(activePointers[0].position);
         }
         
-        return positions.slice(0, this.particleCount);
+        if (this.isMouseNear !== wasMouseNear) {
+            this.emit(this.isMouseNear ? 'interactionstart' : 'interactionend', {
+                position: this.mousePosition.clone(),
+                pointerCount: activePointers.length
+            });
+        }
     }
     
     /**
-     * Generate thumbs up positions
+     * World positions of every pointer close enough to repel particles
      */
-    generateThumbsPositions() {
+    getActivePointerPositions() {
         const positions = [];
+        this.pointers.forEach(pointer => {
+            if (pointer.isNear) {
+                positions.push(pointer.position);
+            }
+        });
+        return positions;
+    }
+    
+    onPointerDown(event) {
+        const pointer = this.updatePointer(event);
+        pointer.isDown = true;
+        pointer.startX = event.clientX;
+        pointer.startY = event.clientY;
+        pointer.downTime = performance.now();
+        pointer.isPinching = false;
+        pointer.startedNear = pointer.isNear;
+        pointer.dragged = false;
         
-        // Thumb outline
-        const thumbCount = Math.floor(this.particleCount * 0.3);
-        for (let i = 0; i < thumbCount; i++) {
-            const t = i / thumbCount;
-            const x = Math.sin(t * Math.PI) * 1.5;
-            const y = t * 3 - 1.5;
-            positions.push(new THREE.Vector3(x, y, 0));
+        const pressed = this.getPressedPointers();
+        if (pressed.length === 1 && this.gestures.longPress) {
+            this.cancelLongPress();
+            this.longPressTimer = setTimeout(() => this.onLongPress(pointer), this.gestures.longPressDelay);
+        } else {
+            this.cancelLongPress();
         }
+        this.updatePinch();
+    }
+    
+    onPointerMove(event) {
+        const pointer = this.updatePointer(event);
         
-        // Hand outline
-        const handCount = Math.floor(this.particleCount * 0.4);
-        for (let i = 0; i < handCount; i++) {
-            const t = i / handCount;
-            const x = Math.sin(t * Math.PI) * 2;
-            const y = t * 2 - 1;
-            positions.push(new THREE.Vector3(x, y, 0));
+        // Dragging is orbiting, not a long-press or a tap, even if the pointer comes back
+        const moved = Math.hypot(pointer.clientX - pointer.startX, pointer.clientY - pointer.startY);
+        if (pointer.isDown && moved > this.gestures.longPressTolerance) {
+            pointer.dragged = true;
+            this.cancelLongPress();
+        }
+        if (this.pinchGesture) {
+            this.updatePinch();
+        }
+    }
+    
+    onPointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) {
+            return;
         }
         
-        // Fingers
-        const fingerCount = Math.floor(this.particleCount * 0.3);
-        for (let i = 0; i < fingerCount; i++) {
-            const t = i / fingerCount;
-            const x = Math.sin(t * Math.PI) * 1.8;
-            const y = t * 1.5 - 0.5;
-            positions.push(new THREE.Vector3(x, y, 0));
+        // A quick press that didn't drag, pinch or turn into a long-press is a tap; the release
+        // position counts too, as moves outside the canvas aren't seen
+        const moved = Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY);
+        const heldFor = performance.now() - pointer.downTime;
+        if (pointer.isDown && !pointer.isPinching && !pointer.dragged && moved <= this.gestures.longPressTolerance &&
+            heldFor < this.gestures.longPressDelay) {
+            this.onTap(pointer);
         }
         
-        return positions.slice(0, this.particleCount);
+        // A mouse keeps hovering after the button is released; touch and pen contacts are gone
+        if (event.pointerType === 'mouse') {
+            pointer.isDown = false;
+            this.cancelLongPress();
+            this.updatePinch();
+        } else {
+            this.removePointer(event.pointerId);
+        }
+    }
+    
+    getPressedPointers() {
+        return Array.from(this.pointers.values()).filter(pointer => pointer.isDown);
     }
     
     /**
-     * Generate ring positions
+     * Start, update or end the two-pointer pinch; spreading scatters, pinching gathers
      */
-    generateRingPositions() {
-        const positions = [];
-        const ringRadius = 3;
-        const tubeRadius = 0.5;
+    updatePinch() {
+        const pressed = this.getPressedPointers();
+        if (pressed.length !== 2 || !this.gestures.pinch) {
+            if (this.pinchGesture) {
+                // Hand two-finger gestures back to the orbit controls
+                this.controls.enabled = this.pinchGesture.controlsEnabled;
+                this.pinchGesture = null;
+            }
+            return;
+        }
         
-        for (let i = 0; i < this.particleCount; i++) {
-            const theta = (i / this.particleCount) * Math.PI * 2;
-            const phi = Math.random() * Math.PI * 2;
-            
-            const x = (ringRadius + Math.cos(phi) * tubeRadius) * Math.cos(theta);
-            const y = (ringRadius + Math.cos(phi) * tubeRadius) * Math.sin(theta);
-            const z = Math.sin(phi) * tubeRadius;
-            
-            positions.push(new THREE.Vector3(x, y, z));
+        const distance = Math.hypot(pressed[0].clientX - pressed[1].clientX, pressed[0].clientY - pressed[1].clientY);
+        if (!this.pinchGesture) {
+            this.pinchGesture = {
+                startDistance: Math.max(distance, 1),
+                startScatter: this.scatterValue,
+                controlsEnabled: this.controls.enabled
+            };
+            // Otherwise OrbitControls would dolly the camera with the same fingers
+            this.controls.enabled = false;
+            pressed.forEach(pointer => {
+                pointer.isPinching = true;
+            });
+            return;
         }
         
-        return positions;
+        const scale = distance / this.pinchGesture.startDistance;
+        if (typeof this.gestures.pinch === 'function') {
+            this.gestures.pinch({ scale, visualizer: this });
+        } else {
+            this.setScatterValue(this.pinchGesture.startScatter + (scale - 1) * this.gestures.pinchSensitivity);
+        }
+        this.emit('pinch', { scale, scatterValue: this.scatterValue });
     }
     
     /**
-     * Setup event listeners for mouse interaction and window resizing
+     * A pointer held still for longPressDelay ms pulls the particles back into the sphere
      */
-    setupEventListeners() {
-        // Mouse move for interaction
-        this.renderer.domElement.addEventListener('mousemove', (event) => {
-            this.onMouseMove(event);
-        });
-        
-        // Window resize
-        window.addEventListener('resize', () => {
-            this.onWindowResize();
-        });
+    onLongPress(pointer) {
+        this.longPressTimer = null;
+        if (typeof this.gestures.longPress === 'function') {
+            this.gestures.longPress({ position: pointer.position.clone(), visualizer: this });
+        } else {
+            this.setScatterValue(0);
+            this.setClusterValue(1);
+        }
+        this.emit('longpress', { position: pointer.position.clone() });
+    }
+    
+    /**
+     * A tap that starts on the sphere explodes the particles around the pointer when physics is on;
+     * every tap is emitted, with onSphere telling the two apart
+     */
+    onTap(pointer) {
+        const onSphere = pointer.startedNear;
+        if (typeof this.gestures.tap === 'function') {
+            this.gestures.tap({ position: pointer.position.clone(), onSphere, visualizer: this });
+        } else if (this.gestures.tap && this.physics.enabled && onSphere) {
+            this.applyImpulse(pointer.position);
+        }
+        this.emit('tap', { position: pointer.position.clone(), onSphere });
+    }
+    
+    cancelLongPress() {
+        if (this.longPressTimer !== null) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+    
+    /**
+     * Change gesture settings, e.g. setGestures({ pinch: false, longPressDelay: 800 })
+     */
+    setGestures(gestures) {
+        this.gestures = { ...this.gestures, ...gestures };
+        this.cancelLongPress();
+        this.updatePinch();
     }
     
     /**
-     * Handle mouse movement for particle interaction
+     * Size the canvas should have: fixed options.width/height, or the container's box
+     * (height derived from options.aspectRatio when given); never smaller than 1px
      */
-    onMouseMove(event) {
-        // Calculate mouse position in normalized device coordinates
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    getViewportSize() {
+        const rect = this.container.getBoundingClientRect();
+        const width = this.options.width || rect.width;
+        let height = this.options.height || rect.height;
+        if (this.options.aspectRatio && !this.options.height) {
+            height = width / this.options.aspectRatio;
+        }
         
-        // Update raycaster
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+        return {
+            width: Math.max(1, Math.round(width)),
+            height: Math.max(1, Math.round(height))
+        };
+    }
+    
+    /**
+     * Handle container (or window) resize
+     */
+    onWindowResize() {
+        // Captures size the renderer themselves and resize afterwards
+        if (this.frameExporter && this.frameExporter.isExporting) {
+            return;
+        }
         
-        // Find intersection with an invisible plane at the particle sphere's center
-        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-        const intersection = new THREE.Vector3();
-        this.raycaster.ray.intersectPlane(plane, intersection);
+        const { width, height } = this.getViewportSize();
+        if (width === this.viewportWidth && height === this.viewportHeight) {
+            return;
+        }
+        this.viewportWidth = width;
+        this.viewportHeight = height;
         
-        // Transform intersection to world space
-        this.mousePosition.copy(intersection);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        this.postProcessing.setSize(width, height);
         
-        // Check distance to particle group center
-        const distanceToCenter = this.mousePosition.distanceTo(this.particleGroup.position);
-        this.isMouseNear = distanceToCenter < this.interactionRadius;
+        this.emit('resize', { width, height });
     }
     
     /**
-     * Handle window resize
+     * Fix the canvas to a pixel size, or pass null to follow the container again
      */
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    setViewportSize(width, height) {
+        this.options.width = width || null;
+        this.options.height = height || null;
+        this.onWindowResize();
     }
     
     /**
-     * Update particle positions with lightspeed scatter effect
+     * Keep the canvas at an aspect ratio (width / height) of the container width; null to disable
      */
-    updateParticles() {
-        const time = this.clock.getElapsedTime();
+    setAspectRatio(aspectRatio) {
+        this.options.aspectRatio = aspectRatio || null;
+        this.onWindowResize();
+    }
+    
+    /**
+     * Track camera movement for lightspeed effect
+     */
+    trackCameraMovement() {
+        const frames = this.deltaTime * ParticleSimulation.REFERENCE_FPS;
+        if (frames <= 0) {
+            // Measure any movement over the next real step instead
+            return;
+        }
         
-        // Track camera movement for lightspeed effect
+        // Change per 60 fps frame, so zooming feels the same at any frame rate
         const currentCameraDistance = this.camera.position.length();
-        const cameraDistanceChange = Math.abs(currentCameraDistance - this.lastCameraDistance);
+        const cameraDistanceChange = Math.abs(currentCameraDistance - this.lastCameraDistance) / frames;
         this.cameraMovementSpeed = cameraDistanceChange * 20; // Amplify the effect more
         this.isCameraMoving = cameraDistanceChange > 0.005; // More sensitive to zoom
         this.lastCameraDistance = currentCameraDistance;
+    }
+    
+    /**
+     * Feed the GPU morph shader; replaces the per-particle loop in 'gpu' render mode
+     */
+    updateGpuMorph() {
+        this.trackCameraMovement();
+        
+        if (this.currentShape === 'ring') {
+            this.shapeRotation += 0.02 * this.deltaTime * ParticleSimulation.REFERENCE_FPS;
+        }
+        
+        this.updateGpuColors();
+        
+        const scatterValue = this.getEffectiveScatter();
+        const lerpSpeed = ParticleSimulation.getEaseRate(scatterValue);
+        const blend = ParticleSimulation.damp(lerpSpeed, this.deltaTime);
+        const remainingBlend = this.instancedRenderer.updateMorph({
+            blend,
+            scatterValue,
+            clusterValue: this.clusterValue,
+            shapeWeight: this.currentShape !== 'sphere' ? 1 : 0,
+            shapeRotation: this.shapeRotation,
+            time: this.time,
+            stateModulation: this.stateModulation,
+            pointerPositions: this.getActivePointerPositions(),
+            interactionRadius: this.interactionRadius,
+            interactionStrength: this.interactionStrength,
+            emissiveIntensity: this.materialProperties.emissiveIntensity + this.audioModulation.emissive,
+            scale: 1 + this.audioModulation.scale,
+            warp: this.isCameraMoving ? Math.min(this.cameraMovementSpeed * this.streakLength, 1.0) : 0
+        });
+        
+        // A full blend moves particles at most about the scatter radius
+        this.trackMorph(remainingBlend * this.scatterRadius, 1 - blend);
+        
+        // Same lightspeed triggers as the CPU path: camera movement, or particles racing while scattered
+        // (speeds in world units per 60 fps frame)
+        const morphSpeed = remainingBlend * this.scatterRadius * lerpSpeed;
+        const scatterWarp = scatterValue > 0.3 && morphSpeed > 0.01 ? morphSpeed : 0;
+        this.updateWarpLevel(this.isCameraMoving ? scatterWarp + this.cameraMovementSpeed : scatterWarp);
+    }
+    
+    /**
+     * Ease gpu-mode instance colours toward the colour mode, using each particle's sphere position
+     * Colours only change when the mode or palette does, so settled colours are left alone
+     */
+    updateGpuColors() {
+        this.colorizer.beginFrame(this.time);
+        if (!this.colorizer.isFading) {
+            return;
+        }
         
+        let remaining = 0;
         this.particles.forEach((particle, index) => {
-            const userData = particle.userData;
-            
-            // Calculate target position based on shape, scatter and cluster values
-            let targetPosition = new THREE.Vector3();
-            
-            if (this.currentShape !== 'sphere') {
-                // Use shape position
-                targetPosition.copy(userData.shapePosition);
-                
-                // Apply rotation for ring
-                if (this.currentShape === 'ring') {
-                    this.shapeRotation += 0.02;
-                    const cos = Math.cos(this.shapeRotation);
-                    const sin = Math.sin(this.shapeRotation);
-                    const x = targetPosition.x;
-                    const y = targetPosition.y;
-                    targetPosition.x = x * cos - y * sin;
-                    targetPosition.y = x * sin + y * cos;
+            remaining = Math.max(remaining, this.colorizer.updateParticle(particle, particle.userData.originalPosition, 0));
+            this.instancedRenderer.mesh.setColorAt(index, particle.material.color);
+        });
+        this.instancedRenderer.mesh.instanceColor.needsUpdate = true;
+        this.colorizer.isFading = remaining > 1 / 255;
+    }
+    
+    /**
+     * Step the simulation (targets, assistant looks, force fields, repulsion, easing or springs), copy its
+     * positions into the particles and layer the lightspeed, colour and interaction effects on top
+     * Easing rates are tuned per frame at 60 fps and scaled to the step length, and speeds are
+     * measured in world units per 60 fps frame, so motion looks the same at any frame rate
+     */
+    updateParticles() {
+        const time = this.time;
+        const frames = this.deltaTime * ParticleSimulation.REFERENCE_FPS;
+        const scatterValue = this.getEffectiveScatter();
+        const baseEmissive = this.materialProperties.emissiveIntensity + this.audioModulation.emissive;
+        const audioActive = this.audioReactor && this.audioReactor.isActive();
+        const blend = ParticleSimulation.damp(ParticleSimulation.getEaseRate(scatterValue), this.deltaTime);
+        const scaleBlend = ParticleSimulation.damp(audioActive ? 0.3 : 0.1, this.deltaTime);
+        const zoomBlend = ParticleSimulation.damp(0.05, this.deltaTime);
+        const pointerPositions = this.getActivePointerPositions();
+        const physicsSteps = this.physics.enabled ? this.consumePhysicsSteps(time) : 0;
+        const naturalFrequency = Math.sqrt(this.physics.stiffness / this.physics.mass);
+        let maxMorphDistance = 0;
+        let maxLightspeed = 0;
+        
+        this.trackCameraMovement();
+        
+        // Resolve animated field positions once per frame
+        this.forceFields.forEach(field => field.update(time, this.particleGroup));
+        this.colorizer.beginFrame(time);
+        
+        // Spin the ring (0.02 radians per 60 fps frame)
+        if (this.currentShape === 'ring') {
+            this.shapeRotation += 0.02 * frames;
+        }
+        
+        // Target positions based on shape, scatter and cluster values, then assistant looks and force fields
+        const simulation = this.simulation;
+        const positions = simulation.positions;
+        const targets = simulation.updateTargets(
+            scatterValue,
+            this.clusterValue,
+            this.currentShape === 'ring' ? this.shapeRotation : 0
+        );
+        const modulated = this.hasStateModulation();
+        if (modulated || this.forceFields.size > 0) {
+            const target = this.scratchTarget;
+            for (let offset = 0; offset < targets.length; offset += 3) {
+                target.fromArray(targets, offset);
+                if (modulated) {
+                    this.applyStateModulation(target, time);
                 }
-            } else {
-                // Use scatter and cluster values
-                const scatterTarget = new THREE.Vector3();
-                scatterTarget.lerpVectors(
-                    userData.originalPosition,
-                    userData.scatteredPosition,
-                    this.scatterValue
-                );
-                
-                const clusterTarget = new THREE.Vector3();
-                clusterTarget.lerpVectors(
-                    userData.scatteredPosition,
-                    userData.originalPosition,
-                    this.clusterValue
+                if (this.forceFields.size > 0) {
+                    this.applyForceFields(target);
+                }
+                target.toArray(targets, offset);
+            }
+        }
+        
+        // Apply pointer interaction: each pointer near the sphere has its own repulsion field
+        const interactionLevels = pointerPositions.length > 0
+            ? simulation.applyRepulsion(pointerPositions, this.interactionRadius, this.interactionStrength)
+            : simulation.interactionLevels.fill(0);
+        
+        if (this.isMorphing) {
+            this.particles.forEach((particle, index) => {
+                const offset = index * 3;
+                let morphDistance = Math.hypot(
+                    targets[offset] - positions[offset],
+                    targets[offset + 1] - positions[offset + 1],
+                    targets[offset + 2] - positions[offset + 2]
                 );
-                
-                // Combine scatter and cluster effects
-                targetPosition.lerpVectors(scatterTarget, clusterTarget, 0.5);
+                if (this.physics.enabled && naturalFrequency > 0) {
+                    // Spring amplitude: stored velocity will still carry the particle this far
+                    morphDistance = Math.hypot(morphDistance, particle.userData.velocity.length() / naturalFrequency);
+                }
+                maxMorphDistance = Math.max(maxMorphDistance, morphDistance);
+            });
+        }
+        
+        // Smooth interpolation to target positions, or spring physics; keep the previous positions for speeds
+        const previousPositions = this.previousPositions;
+        previousPositions.set(positions);
+        if (this.physics.enabled) {
+            for (let index = 0; index < this.particles.length; index++) {
+                this.integrateParticle(index, physicsSteps);
             }
+        } else {
+            simulation.easeToTargets(blend);
+        }
+        
+        // Camera movement pushes every particle away from the camera ("warp")
+        const warpOffset = this.scratchWarp.set(0, 0, 0);
+        if (this.isCameraMoving) {
+            warpOffset.copy(this.camera.position).normalize().multiplyScalar(this.cameraMovementSpeed * 0.2);
+        }
+        const velocity = this.scratchVelocity;
+        
+        this.particles.forEach((particle, index) => {
+            const userData = particle.userData;
+            const offset = index * 3;
             
-            // Apply mouse interaction
-            if (this.isMouseNear) {
-                const distanceToMouse = particle.position.distanceTo(this.mousePosition);
-                if (distanceToMouse < this.interactionRadius) {
-                    // Calculate repulsion force
-                    const repulsionDirection = new THREE.Vector3()
-                        .subVectors(particle.position, this.mousePosition)
-                        .normalize();
-                    
-                    const repulsionStrength = (this.interactionRadius - distanceToMouse) / this.interactionRadius;
-                    const repulsionOffset = repulsionDirection.multiplyScalar(
-                        repulsionStrength * this.interactionStrength
-                    );
-                    
-                    targetPosition.add(repulsionOffset);
-                    userData.isInteracting = true;
-                    userData.interactionStartTime = time;
-                }
-            } else {
+            userData.interactionLevel = interactionLevels[index];
+            if (pointerPositions.length === 0) {
                 userData.isInteracting = false;
+            } else if (userData.interactionLevel > 0) {
+                userData.isInteracting = true;
+                userData.interactionStartTime = time;
             }
             
-            // Store previous position for streak calculation
-            const previousPosition = particle.position.clone();
-            
-            // Smooth interpolation to target position with lightspeed effect
-            const lerpSpeed = this.scatterValue > 0.5 ? 0.15 : 0.08; // Faster when scattering
-            particle.position.lerp(targetPosition, lerpSpeed);
-            
             // Calculate velocity for lightspeed effect
-            const velocity = new THREE.Vector3().subVectors(particle.position, previousPosition);
-            const speed = velocity.length();
+            particle.position.fromArray(positions, offset);
+            velocity.set(
+                positions[offset] - previousPositions[offset],
+                positions[offset + 1] - previousPositions[offset + 1],
+                positions[offset + 2] - previousPositions[offset + 2]
+            );
+            const speed = frames > 0 ? velocity.length() / frames : 0;
+            this.colorizer.updateParticle(particle, particle.position, speed);
             
             // Apply lightspeed effect based on camera movement OR scatter value
-            const lightspeedActive = this.isCameraMoving || (this.scatterValue > 0.3 && speed > 0.01);
+            const lightspeedActive = this.isCameraMoving || (scatterValue > 0.3 && speed > 0.01);
             
             if (lightspeedActive) {
                 // Create streak effect
-                this.createStreakEffect(particle, velocity, speed);
+                this.createStreakEffect(particle, index, speed);
+                maxLightspeed = Math.max(maxLightspeed, speed + this.cameraMovementSpeed);
                 
                 // Enhance material properties during lightspeed
                 const streakIntensity = Math.min((speed + this.cameraMovementSpeed) * this.streakIntensity, 1.0);
-                particle.material.emissiveIntensity = this.materialProperties.emissiveIntensity + streakIntensity * 0.5;
+                particle.material.emissiveIntensity = baseEmissive + streakIntensity * 0.5;
                 
                 // Scale particle based on speed and camera movement
                 const scaleFactor = 1 + ((speed + this.cameraMovementSpeed) * this.streakLength);
                 particle.scale.setScalar(scaleFactor);
                 
-                // Add camera movement effect to all particles
                 if (this.isCameraMoving) {
-                    // Create a "warp" effect when camera is moving
-                    const warpDirection = new THREE.Vector3().subVectors(this.camera.position, new THREE.Vector3(0, 0, 0)).normalize();
-                    const warpStrength = this.cameraMovementSpeed * 0.2; // Stronger warp effect
-                    const warpOffset = warpDirection.multiplyScalar(warpStrength);
+                    positions[offset] += warpOffset.x;
+                    positions[offset + 1] += warpOffset.y;
+                    positions[offset + 2] += warpOffset.z;
                     particle.position.add(warpOffset);
                     
                     // Add extra glow during camera movement
-                    particle.material.emissiveIntensity = this.materialProperties.emissiveIntensity + this.cameraMovementSpeed * 0.3;
+                    particle.material.emissiveIntensity = baseEmissive + this.cameraMovementSpeed * 0.3;
                 }
             } else {
                 // Reset to normal appearance
-                particle.material.emissiveIntensity = this.materialProperties.emissiveIntensity;
-                particle.scale.lerp(userData.originalScale, 0.1);
-            }
-            
-            // Apply lightspeed zoom effect
-            if (this.lightspeedZoom > 0) {
-                const zoomFactor = this.lightspeedZoom * 0.15; // Reduced max zoom to 15%
-                const zoomDirection = new THREE.Vector3(0, 0, -1);
-                zoomDirection.applyQuaternion(this.camera.quaternion);
-                this.camera.position.lerp(
-                    this.camera.position.clone().add(zoomDirection.multiplyScalar(zoomFactor * 5)),
-                    0.05 // Slower, more gradual zoom
-                );
+                particle.material.emissiveIntensity = baseEmissive;
+                if (audioActive) {
+                    // Each particle follows its own slice of the spectrum
+                    const audioScale = this.audioReactor.getParticleScale(index / this.particles.length);
+                    particle.scale.lerp(this.audioScaleTarget.copy(userData.originalScale).multiplyScalar(audioScale), scaleBlend);
+                } else {
+                    particle.scale.lerp(userData.originalScale, scaleBlend);
+                }
             }
             
             // Update particle appearance based on interaction
@@ -547,102 +1017,753 @@ class AdvancedParticleSphere {
                 particle.scale.setScalar(1 + pulse * 0.2);
             }
         });
-    }
-    
-    /**
-     * Create streak effect for lightspeed scatter
-     */
-    createStreakEffect(particle, velocity, speed) {
-        const userData = particle.userData;
-        
-        // Add current position to trail
-        userData.streakTrail.push({
-            position: particle.position.clone(),
-            time: this.clock.getElapsedTime(),
-            intensity: speed * this.streakIntensity
-        });
         
-        // Limit trail length
-        if (userData.streakTrail.length > 5) {
-            userData.streakTrail.shift();
+        // Apply lightspeed zoom effect: the camera drifts forward, zoomBlend of the step per particle
+        if (this.lightspeedZoom > 0) {
+            const zoomFactor = this.lightspeedZoom * 0.15; // Reduced max zoom to 15%
+            const zoomDirection = this.scratchTarget.set(0, 0, -1).applyQuaternion(this.camera.quaternion);
+            this.camera.position.addScaledVector(zoomDirection, zoomFactor * 5 * zoomBlend * this.particles.length);
         }
         
-        // Create visual streak effect by adjusting material
-        const streakFactor = Math.min(speed * 2, 1.0);
-        particle.material.opacity = 0.9 + streakFactor * 0.1;
+        this.trackMorph(maxMorphDistance, this.physics.enabled ? this.getPhysicsDecay(physicsSteps) : 1 - blend);
+        this.updateWarpLevel(maxLightspeed);
+        this.streakRenderer.update(this.particles, time, this.streakLength, this.streakIntensity);
     }
     
     /**
-     * Rotate the entire particle group
+     * Ease warpLevel toward the lightspeed speed (world units per 60 fps frame) seen this step
      */
-    updateRotation() {
-        const time = this.clock.getElapsedTime();
-        this.particleGroup.rotation.x = Math.sin(time * 0.2) * 0.1;
-        this.particleGroup.rotation.y = time * this.rotationSpeed * 0.01;
-        this.particleGroup.rotation.z = Math.cos(time * 0.15) * 0.05;
+    updateWarpLevel(speed) {
+        const level = Math.min(speed * 2, 1);
+        this.warpLevel += (level - this.warpLevel) * ParticleSimulation.damp(0.2, this.deltaTime);
+        if (this.warpLevel < 0.01) {
+            // Snap to zero so motion blur switches off instead of running at a trace
+            this.warpLevel = 0;
+        }
     }
     
     /**
-     * Main animation loop
+     * Whole fixed timesteps to simulate for this frame; leftover time carries to the next frame
      */
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        
-        // Update controls
-        this.controls.update();
-        
-        // Update particle system
-        this.updateParticles();
-        this.updateRotation();
+    consumePhysicsSteps(time) {
+        if (this.lastPhysicsTime === null) {
+            this.lastPhysicsTime = time;
+        }
+        // Clamp long gaps (hidden tab, breakpoints) so the springs don't blow up
+        this.physicsAccumulator += Math.min(time - this.lastPhysicsTime, 0.25);
+        this.lastPhysicsTime = time;
         
-        // Render scene
-        this.renderer.render(this.scene, this.camera);
+        const timestep = this.physics.timestep;
+        let steps = Math.floor(this.physicsAccumulator / timestep);
+        this.physicsAccumulator -= steps * timestep;
+        if (steps > this.physics.maxSubsteps) {
+            // Too far behind: drop the backlog rather than spiral
+            steps = this.physics.maxSubsteps;
+            this.physicsAccumulator = 0;
+        }
+        return steps;
     }
     
     /**
-     * Update material properties for all particles
+     * Spring-damper from a particle's simulation position toward its target with semi-implicit Euler integration
      */
-    updateMaterialProperties(properties) {
-        this.materialProperties = { ...this.materialProperties, ...properties };
+    integrateParticle(index, steps) {
+        const { stiffness, damping, mass, timestep } = this.physics;
+        const positions = this.simulation.positions;
+        const targets = this.simulation.targets;
+        const velocity = this.particles[index].userData.velocity;
+        const offset = index * 3;
         
-        this.particles.forEach(particle => {
-            const material = particle.material;
-            material.metalness = this.materialProperties.metalness;
-            material.roughness = this.materialProperties.roughness;
-            material.clearcoat = this.materialProperties.clearcoat;
-            material.ior = this.materialProperties.ior;
-            material.emissiveIntensity = this.materialProperties.emissiveIntensity;
-        });
+        for (let step = 0; step < steps; step++) {
+            velocity.x += ((stiffness * (targets[offset] - positions[offset]) - damping * velocity.x) / mass) * timestep;
+            velocity.y += ((stiffness * (targets[offset + 1] - positions[offset + 1]) - damping * velocity.y) / mass) * timestep;
+            velocity.z += ((stiffness * (targets[offset + 2] - positions[offset + 2]) - damping * velocity.z) / mass) * timestep;
+            positions[offset] += velocity.x * timestep;
+            positions[offset + 1] += velocity.y * timestep;
+            positions[offset + 2] += velocity.z * timestep;
+        }
     }
     
     /**
-     * Set particle size and recreate particles
+     * How much a spring's amplitude shrinks over the given steps (slowest decaying mode)
      */
-    setParticleSize(size) {
-        this.particleSize = size;
-        this.recreateParticles();
+    getPhysicsDecay(steps) {
+        const { stiffness, damping, mass, timestep } = this.physics;
+        const discriminant = Math.max(0, damping * damping - 4 * stiffness * mass);
+        const rate = (damping - Math.sqrt(discriminant)) / (2 * mass);
+        return Math.exp(-rate * steps * timestep);
     }
     
     /**
-     * Set particle count and recreate particles
+     * Kick particles within radius of a world-space point outward; they spring back to their targets
+     * Needs physics (see setPhysics); returns how many particles were pushed
      */
-    setParticleCount(count) {
-        this.particleCount = count;
-        this.recreateParticles();
+    applyImpulse(point, strength = this.physics.impulseStrength, radius = this.physics.impulseRadius) {
+        if (!this.physics.enabled || this.renderMode === 'gpu') {
+            console.warn('applyImpulse() needs physics in the mesh or instanced render mode');
+            return 0;
+        }
+        
+        // Particles live in the rotating group, so work in its local space
+        const center = this.particleGroup.worldToLocal(new THREE.Vector3(point.x, point.y, point.z || 0));
+        const direction = new THREE.Vector3();
+        let affected = 0;
+        
+        this.particles.forEach(particle => {
+            direction.subVectors(particle.position, center);
+            const distance = direction.length();
+            if (distance >= radius) {
+                return;
+            }
+            if (distance < 1e-6) {
+                direction.set(this.impulseRandom() - 0.5, this.impulseRandom() - 0.5, this.impulseRandom() - 0.5);
+            }
+            direction.normalize();
+            particle.userData.velocity.addScaledVector(direction, strength * (1 - distance / radius));
+            affected++;
+        });
+        
+        if (affected > 0) {
+            this.beginMorph();
+        }
+        return affected;
     }
     
     /**
-     * Set scatter value (0 = clustered, 1 = scattered)
+     * Update physics settings: { enabled, stiffness, damping, mass, timestep, maxSubsteps, impulseStrength, impulseRadius }
+     * timestep and maxSubsteps are clamped to PHYSICS_TIMESTEP_RANGE and PHYSICS_SUBSTEP_RANGE
      */
-    setScatterValue(value) {
-        this.scatterValue = Math.max(0, Math.min(1, value));
+    setPhysics(settings) {
+        const physics = { ...this.physics, ...settings };
+        physics.stiffness = Math.max(0, physics.stiffness);
+        physics.damping = Math.max(0, physics.damping);
+        physics.mass = Math.max(0.01, physics.mass);
+        
+        // A tiny timestep or huge substep budget would stall the frame in consumePhysicsSteps()
+        physics.timestep = AdvancedParticleSphere.clampToRange(physics.timestep, AdvancedParticleSphere.PHYSICS_TIMESTEP_RANGE);
+        physics.maxSubsteps = Math.round(AdvancedParticleSphere.clampToRange(physics.maxSubsteps, AdvancedParticleSphere.PHYSICS_SUBSTEP_RANGE));
+        
+        const wasEnabled = this.physics.enabled;
+        this.physics = physics;
+        if (physics.enabled !== wasEnabled) {
+            this.setPhysicsEnabled(physics.enabled);
+        }
     }
     
     /**
-     * Set cluster value (0 = scattered, 1 = clustered)
+     * Switch between spring physics and plain lerping
      */
-    setClusterValue(value) {
-        this.clusterValue = Math.max(0, Math.min(1, value));
+    setPhysicsEnabled(enabled) {
+        this.physics.enabled = enabled;
+        if (enabled && this.renderMode === 'gpu') {
+            console.warn('Physics is ignored in the gpu render mode');
+        }
+        
+        // Start from rest so stale velocities don't kick in
+        this.particles.forEach(particle => {
+            particle.userData.velocity.set(0, 0, 0);
+        });
+        this.physicsAccumulator = 0;
+        this.lastPhysicsTime = null;
+    }
+    
+    /**
+     * Emit morphstart unless a morph is already under way
+     * Every call restarts settle tracking so the new targets are measured
+     */
+    beginMorph() {
+        this.morphDistance = null;
+        if (!this.isMorphing) {
+            this.isMorphing = true;
+            this.emit('morphstart', {
+                shape: this.currentShape,
+                scatterValue: this.scatterValue,
+                clusterValue: this.clusterValue
+            });
+        }
+    }
+    
+    /**
+     * Emit morphcomplete once particles are within morphTolerance of their targets
+     * The gap is measured on the first frame of a morph and then shrinks by decay per frame
+     * (the lerp or spring rate), so continuous motion (ring spin, state looks, audio)
+     * doesn't hold a morph open forever
+     */
+    trackMorph(measuredDistance, decay) {
+        if (!this.isMorphing) {
+            return;
+        }
+        if (this.morphDistance === null) {
+            this.morphDistance = measuredDistance;
+        }
+        this.morphDistance *= decay;
+        
+        if (this.morphDistance < this.morphTolerance) {
+            this.isMorphing = false;
+            this.morphDistance = null;
+            this.emit('morphcomplete', {
+                shape: this.currentShape,
+                scatterValue: this.scatterValue,
+                clusterValue: this.clusterValue
+            });
+        }
+    }
+    
+    /**
+     * Whether the assistant state look moves targets at all (false in the plain state)
+     */
+    hasStateModulation() {
+        const modulation = this.stateModulation;
+        return Boolean(modulation.breathe || modulation.attention || modulation.swirl ||
+            modulation.swirlPhase || modulation.pulse);
+    }
+    
+    /**
+     * Animate a target position with the assistant state look
+     * Mirrored by applyStateModulation() in the GPU morph shader
+     */
+    applyStateModulation(target, time) {
+        const modulation = this.stateModulation;
+        if (!this.hasStateModulation()) {
+            return target;
+        }
+        
+        // Thinking: spin sheared by latitude so bands swirl past each other
+        if (modulation.swirl || modulation.swirlPhase) {
+            const angle = modulation.swirlPhase + modulation.swirl * target.y * 0.35;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const x = target.x;
+            const z = target.z;
+            target.x = x * cos - z * sin;
+            target.z = x * sin + z * cos;
+        }
+        
+        let radial = 1;
+        radial += modulation.breathe * 0.04 * Math.sin(time * 1.2); // Idle: slow breathing
+        radial -= modulation.attention * (0.08 + 0.015 * Math.sin(time * 3)); // Listening: drawn in
+        radial += modulation.pulse * 0.08 * Math.max(0, Math.sin(time * 6 - target.y * 0.8)); // Speaking: ripples
+        
+        return target.multiplyScalar(radial);
+    }
+    
+    /**
+     * Set the voice-assistant state ('idle', 'listening', 'thinking' or 'speaking')
+     * Plays an eased transition; options: { duration (seconds), easing }
+     */
+    setAssistantState(name, options = {}) {
+        if (!this.assistantController) {
+            this.assistantController = new AssistantStateController(this);
+        }
+        return this.assistantController.setState(name, options);
+    }
+    
+    /**
+     * Current voice-assistant state, or null if none was set
+     */
+    getAssistantState() {
+        return this.assistantController ? this.assistantController.state : null;
+    }
+    
+    /**
+     * Create a keyframe timeline driven by this visualizer's simulation time
+     * Options: { loop, onComplete(timeline), onKeyframe(index, keyframe, timeline) }
+     * Timelines are updated while they play; a finished non-looping one is dropped until played again
+     */
+    createTimeline(keyframes, options = {}) {
+        const timeline = new ParticleTimeline(this, keyframes, options);
+        this.timelines.add(timeline);
+        return timeline;
+    }
+    
+    /**
+     * Create a timeline and start playing it immediately
+     */
+    playTimeline(keyframes, options = {}) {
+        return this.createTimeline(keyframes, options).play();
+    }
+    
+    /**
+     * Stop updating a timeline
+     */
+    removeTimeline(timeline) {
+        timeline.pause();
+        this.timelines.delete(timeline);
+    }
+    
+    /**
+     * Add a force field: a ForceField instance or a description such as
+     * { type: 'vortex', strength: 0.5, axis: { x: 0, y: 1, z: 0 }, radius: 8, falloff: 'smooth' }
+     * Returns the field so it can be tweaked or removed later
+     */
+    addForceField(field) {
+        const forceField = field instanceof ForceField ? field : ForceField.create(field);
+        if (this.renderMode === 'gpu') {
+            console.warn('Force fields are ignored in the gpu render mode');
+        }
+        this.forceFields.add(forceField);
+        return forceField;
+    }
+    
+    /**
+     * Remove a field added with addForceField()
+     */
+    removeForceField(field) {
+        return this.forceFields.delete(field);
+    }
+    
+    /**
+     * Remove every force field
+     */
+    clearForceFields() {
+        this.forceFields.clear();
+    }
+    
+    /**
+     * Displace a target position by every enabled force field
+     */
+    applyForceFields(target) {
+        const offset = this.forceOffset.set(0, 0, 0);
+        this.forceFields.forEach(field => {
+            if (field.enabled) {
+                field.apply(target, offset);
+            }
+        });
+        target.add(offset);
+    }
+    
+    /**
+     * Create streak effect for lightspeed scatter
+     */
+    createStreakEffect(particle, index, speed) {
+        // Add the current position to the particle's trail; streakLength decides how many samples are kept
+        this.streakRenderer.record(index, particle.position, this.time, this.streakLength);
+        
+        // Create visual streak effect by adjusting material
+        const streakFactor = Math.min(speed * 2, 1.0);
+        particle.material.opacity = 0.9 + streakFactor * 0.1;
+    }
+    
+    /**
+     * Rotate the entire particle group
+     */
+    updateRotation() {
+        const time = this.time;
+        
+        // Accumulate so speed changes (e.g. from audio) don't jump the angle
+        const rotationSpeed = this.rotationSpeed + this.audioModulation.rotation;
+        this.rotationAngle += this.deltaTime * rotationSpeed * 0.01;
+        
+        this.particleGroup.rotation.x = Math.sin(time * 0.2) * 0.1;
+        this.particleGroup.rotation.y = this.rotationAngle;
+        this.particleGroup.rotation.z = Math.cos(time * 0.15) * 0.05;
+    }
+    
+    /**
+     * Main animation loop
+     */
+    animate() {
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        const workStart = performance.now();
+        
+        // Update controls
+        this.controls.update();
+        
+        // While paused, or on a manual clock, the scene stays frozen but the camera can still be orbited
+        const delta = Math.min(this.clock.getDelta(), AdvancedParticleSphere.MAX_FRAME_DELTA);
+        if (!this.isPaused && !this.manualClock) {
+            this.step(delta);
+        }
+        
+        this.renderFrame();
+        
+        // The governor judges the frame by the time spent on it, not by the refresh-bound frame gap
+        if (this.qualityManager) {
+            const now = performance.now();
+            this.qualityManager.update(now, now - workStart);
+        }
+    }
+    
+    /**
+     * Advance the simulation by dt seconds without drawing
+     * Motion is time-based, so e.g. two steps of 1/120 cover the same ground as one of 1/60;
+     * pair with a manual clock and renderFrame() to produce frames at a fixed rate
+     */
+    step(dt) {
+        if (!Number.isFinite(dt) || dt < 0) {
+            throw new Error(`step() needs a finite, non-negative number of seconds, got ${dt}`);
+        }
+        this.deltaTime = dt;
+        this.time += dt;
+        
+        // Sample audio before anything reads the modulation
+        this.updateAudio();
+        
+        // Advance assistant state transitions and timelines
+        if (this.assistantController) {
+            this.assistantController.update(this.time);
+        }
+        this.timelines.forEach(timeline => timeline.update(this.time));
+        
+        // Update particle system
+        if (this.renderMode === 'gpu') {
+            this.updateGpuMorph();
+        } else {
+            this.updateParticles();
+        }
+        this.updateRotation();
+        
+        // Push proxy transforms into the instance buffers
+        if (this.renderMode === 'instanced') {
+            this.instancedRenderer.update(this.particles);
+        }
+        return this;
+    }
+    
+    /**
+     * Draw the current simulation state; the first frame drawn emits 'ready'
+     */
+    renderFrame() {
+        // Render scene, through the accumulation buffer while the warp is running and the effect stack
+        this.postProcessing.render(
+            this.motionBlur * this.warpLevel,
+            this.materialProperties.emissiveIntensity + this.audioModulation.emissive,
+            this.time
+        );
+        
+        if (!this.isReady) {
+            this.isReady = true;
+            this.emit('ready');
+        }
+        return this;
+    }
+    
+    /**
+     * With a manual clock, time only advances through step(); the animation loop (if started)
+     * keeps drawing so the camera stays interactive
+     */
+    setManualClock(enabled) {
+        this.manualClock = enabled;
+        this.syncClock();
+        return this;
+    }
+    
+    /**
+     * Start (or restart after stop()) the animation loop
+     */
+    start() {
+        this.isRunning = true;
+        this.updateLoop();
+        return this;
+    }
+    
+    /**
+     * Stop the animation loop entirely; nothing is rendered until start()
+     */
+    stop() {
+        this.isRunning = false;
+        this.updateLoop();
+        return this;
+    }
+    
+    /**
+     * Freeze particles, transitions and timelines while still rendering the camera
+     */
+    pause() {
+        this.isPaused = true;
+        this.syncClock();
+        return this;
+    }
+    
+    /**
+     * Continue after pause()
+     */
+    resume() {
+        this.isPaused = false;
+        this.syncClock();
+        return this;
+    }
+    
+    /**
+     * Run or cancel the requestAnimationFrame loop to match the lifecycle flags
+     */
+    updateLoop() {
+        const shouldLoop = this.isRunning && !this.isDisposed && !this.isHidden && this.isOnscreen;
+        if (shouldLoop === this.isLooping) {
+            return;
+        }
+        
+        this.isLooping = shouldLoop;
+        this.syncClock();
+        if (shouldLoop) {
+            // First frame on the next tick, so 'ready' listeners added after construction still fire
+            this.animationFrameId = requestAnimationFrame(() => this.animate());
+        } else {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+    
+    /**
+     * Run the clock only while the loop advances the simulation, so time spent stopped,
+     * paused or on a manual clock isn't replayed as one long step
+     */
+    syncClock() {
+        const shouldTick = this.isLooping && !this.isPaused && !this.manualClock;
+        if (shouldTick && !this.clock.running) {
+            this.clock.start();
+        } else if (!shouldTick && this.clock.running) {
+            this.clock.stop();
+        }
+    }
+    
+    /**
+     * Refresh audio modulation from the analyser
+     */
+    updateAudio() {
+        if (this.audioReactor && this.audioReactor.isActive()) {
+            this.audioReactor.update();
+            this.audioModulation = this.audioReactor.getModulation();
+        } else {
+            this.audioModulation = { scatter: 0, scale: 0, emissive: 0, rotation: 0 };
+        }
+    }
+    
+    /**
+     * Scatter value including audio modulation
+     */
+    getEffectiveScatter() {
+        return Math.max(0, Math.min(1, this.scatterValue + this.audioModulation.scatter));
+    }
+    
+    /**
+     * Drive the visualizer from an audio source: a MediaStream (microphone),
+     * an <audio>/<video> element, an AudioBuffer, an encoded File/Blob/ArrayBuffer or an AudioNode
+     * Options: { audioContext, fftSize, smoothing, loop, mappings }
+     * Resolves to the source node, or null if a later source replaced a file still decoding
+     */
+    async setAudioSource(source, options = {}) {
+        if (!this.audioReactor) {
+            this.audioReactor = new AudioReactor(options);
+        } else if (options.mappings) {
+            this.audioReactor.setMappings(options.mappings);
+        }
+        
+        return this.audioReactor.connect(source);
+    }
+    
+    /**
+     * Configure how audio levels map onto scatter, scale, emissive and rotation
+     * e.g. { scatter: { source: 'bass', amount: 0.5 } }
+     */
+    setAudioMappings(mappings) {
+        if (!this.audioReactor) {
+            this.audioReactor = new AudioReactor({ mappings });
+            return;
+        }
+        this.audioReactor.setMappings(mappings);
+    }
+    
+    /**
+     * Stop reacting to audio
+     */
+    clearAudioSource() {
+        if (this.audioReactor) {
+            this.audioReactor.disconnect();
+        }
+    }
+    
+    /**
+     * Render a still at any resolution; options: { width, height, transparent, type, quality }
+     * Resolves to an image Blob (PNG unless type says otherwise)
+     */
+    captureScreenshot(options = {}) {
+        if (!this.frameExporter) {
+            this.frameExporter = new FrameExporter(this);
+        }
+        return this.frameExporter.captureScreenshot(options);
+    }
+    
+    /**
+     * Step at a fixed frame rate and capture each frame to a PNG sequence zip or a WebM
+     * Options: { format: 'png' | 'webm', fps, duration or frames, width, height, transparent, onProgress }
+     */
+    exportFrames(options = {}) {
+        if (!this.frameExporter) {
+            this.frameExporter = new FrameExporter(this);
+        }
+        return this.frameExporter.exportFrames(options);
+    }
+    
+    /**
+     * Update material properties for all particles
+     */
+    updateMaterialProperties(properties) {
+        this.materialProperties = { ...this.materialProperties, ...properties };
+        
+        this.particles.forEach(particle => {
+            const material = particle.material;
+            material.metalness = this.materialProperties.metalness;
+            material.roughness = this.materialProperties.roughness;
+            material.clearcoat = this.materialProperties.clearcoat;
+            material.ior = this.materialProperties.ior;
+            material.emissiveIntensity = this.materialProperties.emissiveIntensity;
+        });
+        
+        if (this.instancedRenderer) {
+            this.instancedRenderer.updateMaterialProperties(this.materialProperties);
+        }
+    }
+    
+    /**
+     * Change how particles are coloured; settings merge into the current ones:
+     * { mode: 'solid' | 'gradient' | 'speed' | 'interaction', palette, colors, mapping: 'axis' | 'radius' | 'latitude',
+     *   axis: { x, y, z }, speedRange, transition }
+     * e.g. setColorMode({ mode: 'gradient', palette: 'orb', mapping: 'latitude' })
+     */
+    setColorMode(settings) {
+        this.colorizer.set(settings);
+        const mode = this.colorizer.settings.mode;
+        if (this.renderMode === 'gpu' && (mode === 'speed' || mode === 'interaction')) {
+            console.warn(`The ${mode} colour mode needs CPU particle motion; the gpu render mode shows the first colour`);
+        }
+    }
+    
+    /**
+     * Cross-fade to a named palette (see ParticleColorizer.PALETTES), keeping the colour mode
+     */
+    setPalette(name) {
+        this.setColorMode({ palette: name });
+    }
+    
+    /**
+     * Current colour settings
+     */
+    getColorMode() {
+        const settings = this.colorizer.settings;
+        return { ...settings, colors: settings.colors.slice(), axis: { ...settings.axis } };
+    }
+    
+    /**
+     * Set particle size (clamped to PARTICLE_SIZE_RANGE) and recreate particles
+     */
+    setParticleSize(size) {
+        this.particleSize = AdvancedParticleSphere.clampToRange(size, AdvancedParticleSphere.PARTICLE_SIZE_RANGE);
+        this.recreateParticles();
+    }
+    
+    /**
+     * Particles actually drawn: particleCount scaled by the quality's particleScale
+     */
+    getRenderedParticleCount() {
+        return Math.max(1, Math.round(this.particleCount * this.quality.particleScale));
+    }
+    
+    /**
+     * Device pixel ratio limited by the quality's pixelRatio
+     */
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.quality.pixelRatio);
+    }
+    
+    /**
+     * Change render quality: { segments, pixelRatio, shadows, particleScale, postProcessing }
+     * Segments and particleScale rebuild the particles; with adaptive quality on, the
+     * QualityManager replaces these values on its next tier change
+     */
+    setQuality(quality) {
+        const previous = this.quality;
+        this.quality = { ...previous, ...quality };
+        
+        if (this.quality.pixelRatio !== previous.pixelRatio) {
+            this.renderer.setPixelRatio(this.getPixelRatio());
+            this.postProcessing.setSize(this.viewportWidth, this.viewportHeight);
+        }
+        if (this.quality.shadows !== previous.shadows) {
+            this.renderer.shadowMap.enabled = this.quality.shadows;
+            this.scene.traverse(object => {
+                // Shader programs bake in whether shadows are sampled
+                if (object.material) {
+                    [].concat(object.material).forEach(material => {
+                        material.needsUpdate = true;
+                    });
+                }
+                // Shadow maps are recreated when shadows come back
+                if (!this.quality.shadows && object.shadow && object.shadow.map) {
+                    object.shadow.map.dispose();
+                    object.shadow.map = null;
+                }
+            });
+        }
+        if (this.quality.postProcessing !== previous.postProcessing) {
+            this.postProcessing.setSuspended(!this.quality.postProcessing);
+        }
+        if (this.quality.segments !== previous.segments || this.quality.particleScale !== previous.particleScale) {
+            this.recreateParticles();
+        }
+        return this;
+    }
+    
+    /**
+     * Turn the adaptive quality governor on (true or QualityManager settings, e.g.
+     * { caps: { pixelRatio: 1 }, lowestTier: 'low' }) or off (false, restoring the starting quality)
+     */
+    setAdaptiveQuality(settings) {
+        if (!settings) {
+            this.qualityManager = null;
+            this.setQuality({ ...AdvancedParticleSphere.DEFAULT_QUALITY, ...this.options.quality });
+            return this;
+        }
+        
+        const qualitySettings = settings === true ? {} : settings;
+        if (this.qualityManager) {
+            this.qualityManager.setSettings(qualitySettings);
+        } else {
+            this.qualityManager = new QualityManager(this, qualitySettings);
+        }
+        return this;
+    }
+    
+    /**
+     * Set particle count (rounded and clamped to PARTICLE_COUNT_RANGE) and recreate particles
+     */
+    setParticleCount(count) {
+        this.particleCount = Math.round(AdvancedParticleSphere.clampToRange(count, AdvancedParticleSphere.PARTICLE_COUNT_RANGE));
+        this.recreateParticles();
+    }
+    
+    /**
+     * Switch rendering backend ('mesh', 'instanced' or 'gpu') and recreate particles
+     */
+    setRenderMode(mode) {
+        if (mode !== 'mesh' && mode !== 'instanced' && mode !== 'gpu') {
+            console.warn('Unknown render mode:', mode);
+            return;
+        }
+        this.renderMode = mode;
+        this.recreateParticles();
+    }
+    
+    /**
+     * Set scatter value (0 = clustered, 1 = scattered)
+     */
+    setScatterValue(value) {
+        const scatterValue = Math.max(0, Math.min(1, value));
+        if (scatterValue !== this.scatterValue) {
+            this.scatterValue = scatterValue;
+            this.beginMorph();
+        }
+    }
+    
+    /**
+     * Set cluster value (0 = scattered, 1 = clustered)
+     */
+    setClusterValue(value) {
+        const clusterValue = Math.max(0, Math.min(1, value));
+        if (clusterValue !== this.clusterValue) {
+            this.clusterValue = clusterValue;
+            this.beginMorph();
+        }
     }
     
     /**
@@ -656,6 +1777,9 @@ class AdvancedParticleSphere {
         this.streakIntensity = Math.max(0, Math.min(1, intensity));
     }
     
+    /**
+     * Fraction of the previous frame kept while the lightspeed effect runs; 0 disables motion blur
+     */
     setMotionBlur(blur) {
         this.motionBlur = Math.max(0, Math.min(1, blur));
     }
@@ -665,34 +1789,119 @@ class AdvancedParticleSphere {
     }
     
     /**
-     * Morph particles to a specific shape
+     * Tune the post-processing stack; groups merge into the current settings:
+     * { enabled, bloom: { enabled, strength, radius, threshold }, vignette: { enabled, amount, softness },
+     *   grain: { enabled, amount }, chromaticAberration: { enabled, amount } }
+     */
+    setPostProcessing(settings) {
+        this.postProcessing.setSettings(settings);
+    }
+    
+    /**
+     * Switch the whole post-processing stack on or off (off renders the scene directly)
+     */
+    setPostProcessingEnabled(enabled) {
+        this.postProcessing.setSettings({ enabled });
+        if (!enabled) {
+            // Give the render targets back; they are recreated if effects are turned on again
+            this.postProcessing.dispose();
+        }
+    }
+    
+    /**
+     * Register a shape generator on this visualizer
+     * generator(count, options) returns count positions as {x, y, z} points or a flat array
+     */
+    registerShape(name, generator) {
+        this.shapeRegistry.register(name, generator);
+        return this;
+    }
+    
+    /**
+     * Register a shape from artwork: a PNG/SVG URL or File, SVG markup, or SVG path data
+     * The image is rasterised once; options (outline, weight, threshold, maxWidth, ...)
+     * become sampling defaults that morphToShape(name, options) can override
      */
-    morphToShape(shapeName) {
+    async registerImageShape(name, source, options = {}) {
+        const imageData = await CanvasShapeSampler.loadImageData(source, options);
+        this.shapeRegistry.register(name, CanvasShapeSampler.imageShape(imageData, options));
+        return name;
+    }
+    
+    /**
+     * Register a shape sampled from a 3D model: an OBJ/glTF URL or File, or a loaded THREE.Object3D
+     * The model is normalised to sphereRadius; options: { format, radius, volume (true or 0..1 interior share) }
+     */
+    async registerModelShape(name, source, options = {}) {
+        const model = await MeshShapeSampler.loadModel(source, options);
+        const triangles = MeshShapeSampler.collectTriangles(model);
+        this.shapeRegistry.register(name, MeshShapeSampler.meshShape(triangles, options));
+        return name;
+    }
+    
+    /**
+     * Names of all shapes morphToShape() accepts, besides 'sphere'
+     */
+    getShapeNames() {
+        return this.shapeRegistry.list();
+    }
+    
+    /**
+     * Morph particles to a registered shape, or back to the 'sphere'
+     * Options are passed through to the shape generator; unknown names throw
+     * Layouts are seeded from the visualizer's seed and the shape name unless options.seed is given
+     */
+    morphToShape(shapeName, options = {}) {
+        const previousShape = this.currentShape;
+        const shapeOptions = shapeName === 'sphere' ? {} : options;
+        
+        this.simulation.morphToShape(shapeName, shapeName === 'sphere' ? {} : { outline: this.outlineMode, ...options });
         this.currentShape = shapeName;
-        let shapePositions = [];
-        
-        switch (shapeName) {
-            case 'smiley':
-                shapePositions = this.generateSmileyPositions();
-                break;
-            case 'thumbs':
-                shapePositions = this.generateThumbsPositions();
-                break;
-            case 'ring':
-                shapePositions = this.generateRingPositions();
-                break;
-            default:
-                // Return to sphere
-                shapePositions = this.particles.map(particle => particle.userData.originalPosition);
-                break;
-        }
-        
-        // Update particle shape positions
+        this.currentShapeOptions = shapeOptions;
+        this.applyShapePositions();
+        
+        this.emit('shapechange', { shape: shapeName, previousShape, options: shapeOptions });
+        this.beginMorph();
+    }
+    
+    /**
+     * Copy the simulation's shape layout to the particles
+     */
+    applyShapePositions() {
+        const shapePositions = this.simulation.shapePositions;
         this.particles.forEach((particle, index) => {
-            if (index < shapePositions.length) {
-                particle.userData.shapePosition = shapePositions[index];
-            }
+            particle.userData.shapePosition = new THREE.Vector3().fromArray(shapePositions, index * 3);
+        });
+        
+        // GPU mode keeps shape targets in an instance attribute
+        if (this.renderMode === 'gpu' && this.currentShape !== 'sphere') {
+            this.instancedRenderer.setShapeTargets(
+                this.particles.map(particle => particle.userData.shapePosition),
+                this.shapeRotation
+            );
+        }
+    }
+    
+    /**
+     * Lay the particles out afresh: new scatter positions and, if a shape is active, a new
+     * shape layout, morphed to like any other change. Returns the seed, which reproduces this
+     * layout when passed back to reseed() or the constructor
+     */
+    reseed(seed = SeededRandom.randomSeed()) {
+        this.seed = this.simulation.reseed(seed);
+        this.impulseRandom = SeededRandom.derive(this.seed, 'impulse').next;
+        
+        const scatteredPositions = this.simulation.scatteredPositions;
+        this.particles.forEach((particle, index) => {
+            particle.userData.scatteredPosition.fromArray(scatteredPositions, index * 3);
         });
+        
+        if (this.renderMode === 'gpu') {
+            this.instancedRenderer.setTargets(this.particles);
+        }
+        this.applyShapePositions();
+        this.beginMorph();
+        return this.seed;
     }
     
     /**
@@ -702,7 +1911,7 @@ class AdvancedParticleSphere {
         this.outlineMode = enabled;
         // Regenerate shape positions if a shape is active
         if (this.currentShape !== 'sphere') {
-            this.morphToShape(this.currentShape);
+            this.morphToShape(this.currentShape, this.currentShapeOptions);
         }
     }
     
@@ -720,26 +1929,368 @@ class AdvancedParticleSphere {
         this.interactionStrength = strength;
     }
     
+    /**
+     * Snapshot of everything a preset or deep link needs to recreate the current look
+     */
+    getState() {
+        return {
+            version: 1,
+            particleCount: this.particleCount,
+            particleSize: this.particleSize,
+            renderMode: this.renderMode,
+            seed: this.seed,
+            scatterValue: this.scatterValue,
+            clusterValue: this.clusterValue,
+            rotationSpeed: this.rotationSpeed,
+            shape: this.currentShape,
+            shapeOptions: this.currentShapeOptions,
+            outlineMode: this.outlineMode,
+            physics: {
+                enabled: this.physics.enabled,
+                stiffness: this.physics.stiffness,
+                damping: this.physics.damping,
+                mass: this.physics.mass
+            },
+            material: { ...this.materialProperties },
+            interaction: {
+                radius: this.interactionRadius,
+                strength: this.interactionStrength
+            },
+            streaks: {
+                length: this.streakLength,
+                intensity: this.streakIntensity,
+                motionBlur: this.motionBlur,
+                lightspeedZoom: this.lightspeedZoom
+            },
+            colorMode: this.getColorMode(),
+            // Effect looks only: whether effects run at all is up to the device
+            postProcessing: {
+                bloom: { ...this.postProcessing.settings.bloom },
+                vignette: { ...this.postProcessing.settings.vignette },
+                grain: { ...this.postProcessing.settings.grain },
+                chromaticAberration: { ...this.postProcessing.settings.chromaticAberration }
+            }
+        };
+    }
+    
+    /**
+     * Apply a state from getState() (object or JSON string); missing fields keep their values
+     * Particles are rebuilt at most once, and only when count, size or render mode change;
+     * a colour mode or shape that can't be restored is skipped with an 'error' event
+     */
+    setState(state) {
+        if (typeof state === 'string') {
+            state = JSON.parse(state);
+        }
+        if (!state || typeof state !== 'object') {
+            throw new Error('State must be an object or JSON string');
+        }
+        
+        // States may come from shared links or imported files: physics and material settings are
+        // checked before anything is applied, and counts and sizes are clamped
+        if (state.physics) {
+            AdvancedParticleSphere.checkSettings('physics', state.physics, AdvancedParticleSphere.DEFAULT_PHYSICS);
+        }
+        if (state.material) {
+            AdvancedParticleSphere.checkSettings('material', state.material, this.materialProperties);
+        }
+        let needsRecreate = false;
+        if (Number.isFinite(state.particleCount)) {
+            const count = Math.round(AdvancedParticleSphere.clampToRange(state.particleCount, AdvancedParticleSphere.PARTICLE_COUNT_RANGE));
+            if (count !== this.particleCount) {
+                this.particleCount = count;
+                needsRecreate = true;
+            }
+        }
+        if (Number.isFinite(state.particleSize)) {
+            const size = AdvancedParticleSphere.clampToRange(state.particleSize, AdvancedParticleSphere.PARTICLE_SIZE_RANGE);
+            if (size !== this.particleSize) {
+                this.particleSize = size;
+                needsRecreate = true;
+            }
+        }
+        if (state.renderMode !== undefined && state.renderMode !== this.renderMode) {
+            if (state.renderMode === 'mesh' || state.renderMode === 'instanced' || state.renderMode === 'gpu') {
+                this.renderMode = state.renderMode;
+                needsRecreate = true;
+            } else {
+                console.warn('Unknown render mode:', state.renderMode);
+            }
+        }
+        if (typeof state.outlineMode === 'boolean') {
+            this.outlineMode = state.outlineMode;
+        }
+        
+        // A new seed is picked up by the rebuild, or re-lays out the current particles
+        const hasNewSeed = (typeof state.seed === 'number' || typeof state.seed === 'string') && state.seed !== this.seed;
+        if (needsRecreate) {
+            if (hasNewSeed) {
+                this.seed = state.seed;
+            }
+            this.recreateParticles();
+        } else if (hasNewSeed) {
+            this.reseed(state.seed);
+        }
+        
+        if (typeof state.scatterValue === 'number') {
+            this.setScatterValue(state.scatterValue);
+        }
+        if (typeof state.clusterValue === 'number') {
+            this.setClusterValue(state.clusterValue);
+        }
+        if (typeof state.rotationSpeed === 'number') {
+            this.rotationSpeed = state.rotationSpeed;
+        }
+        if (state.physics) {
+            this.setPhysics(state.physics);
+        }
+        if (state.material) {
+            this.updateMaterialProperties(state.material);
+        }
+        if (state.interaction) {
+            if (typeof state.interaction.radius === 'number') {
+                this.setInteractionRadius(state.interaction.radius);
+            }
+            if (typeof state.interaction.strength === 'number') {
+                this.setInteractionStrength(state.interaction.strength);
+            }
+        }
+        if (state.streaks) {
+            if (typeof state.streaks.length === 'number') {
+                this.setStreakLength(state.streaks.length);
+            }
+            if (typeof state.streaks.intensity === 'number') {
+                this.setStreakIntensity(state.streaks.intensity);
+            }
+            if (typeof state.streaks.motionBlur === 'number') {
+                this.setMotionBlur(state.streaks.motionBlur);
+            }
+            if (typeof state.streaks.lightspeedZoom === 'number') {
+                this.setLightspeedZoom(state.streaks.lightspeedZoom);
+            }
+        }
+        if (state.colorMode) {
+            try {
+                this.setColorMode(state.colorMode);
+            } catch (error) {
+                console.warn('Could not restore colour mode:', error.message);
+                this.emit('error', { error, context: 'colorMode' });
+            }
+        }
+        if (state.postProcessing) {
+            const looks = { ...state.postProcessing };
+            delete looks.enabled;
+            this.setPostProcessing(looks);
+        }
+        
+        // Shapes registered at runtime (artwork, models) may not exist here; keep the current one
+        if (typeof state.shape === 'string') {
+            const shapeOptions = state.shapeOptions || {};
+            const shapeChanged = state.shape !== this.currentShape ||
+                JSON.stringify(shapeOptions) !== JSON.stringify(this.currentShapeOptions);
+            if (shapeChanged || typeof state.outlineMode === 'boolean') {
+                try {
+                    this.morphToShape(state.shape, shapeOptions);
+                } catch (error) {
+                    console.warn('Could not restore shape:', error.message);
+                    this.emit('error', { error, context: 'shape' });
+                }
+            }
+        }
+        
+        return this;
+    }
+    
     /**
      * Recreate particles with new parameters
      */
     recreateParticles() {
         // Remove existing particles
-        this.particles.forEach(particle => {
-            this.particleGroup.remove(particle);
-        });
-        this.particles = [];
+        this.disposeParticles();
         
         // Create new particles
         this.createParticles();
+        
+        // Regenerate the active shape for the new particle count
+        if (this.currentShape !== 'sphere') {
+            this.morphToShape(this.currentShape, this.currentShapeOptions);
+        }
     }
     
     /**
-     * Clean up resources
+     * Remove the particle group from the scene and release its geometry and materials
+     */
+    disposeParticles() {
+        if (this.instancedRenderer) {
+            // Owns the shared geometry and material
+            this.instancedRenderer.dispose();
+            this.instancedRenderer = null;
+        } else {
+            this.particles.forEach(particle => {
+                particle.material.dispose();
+            });
+            if (this.particleGeometry) {
+                this.particleGeometry.dispose();
+            }
+        }
+        this.particleGeometry = null;
+        
+        if (this.streakRenderer) {
+            this.streakRenderer.dispose();
+            this.streakRenderer = null;
+        }
+        
+        if (this.particleGroup) {
+            this.scene.remove(this.particleGroup);
+            this.particleGroup = null;
+        }
+        this.particles = [];
+    }
+    
+    /**
+     * Clean up resources: stops the loop and releases every listener, observer and GPU resource
+     * The visualizer can't be used afterwards
      */
     dispose() {
-        this.renderer.dispose();
+        if (this.isDisposed) {
+            return;
+        }
+        this.emit('dispose');
+        this.removeAllListeners();
+        this.isDisposed = true;
+        this.isRunning = false;
+        this.updateLoop();
+        
+        // Listeners and observers
+        const canvas = this.renderer.domElement;
+        canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        canvas.removeEventListener('pointermove', this.handlePointerMove);
+        canvas.removeEventListener('pointerup', this.handlePointerUp);
+        canvas.removeEventListener('pointercancel', this.handlePointerLeave);
+        canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+        this.cancelLongPress();
+        this.pointers.clear();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('resize', this.handleWindowResize);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+            this.intersectionObserver = null;
+        }
+        
+        if (this.audioReactor) {
+            this.audioReactor.dispose();
+            this.audioReactor = null;
+        }
+        this.timelines.forEach(timeline => timeline.pause());
+        this.timelines.clear();
+        
+        // GPU resources: particles, then anything else in the scene (lights' shadow maps)
+        this.disposeParticles();
+        this.scene.traverse(object => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                [].concat(object.material).forEach(material => material.dispose());
+            }
+            if (object.shadow && object.shadow.map) {
+                object.shadow.map.dispose();
+            }
+        });
+        this.scene.clear();
+        this.postProcessing.dispose();
+        this.motionBlurPass.dispose();
+        
         this.controls.dispose();
-        window.removeEventListener('resize', this.onWindowResize);
+        this.renderer.dispose();
+        // Browsers cap live WebGL contexts, so hand ours back instead of waiting for GC
+        this.renderer.forceContextLoss();
+        if (this.renderer.domElement.parentNode) {
+            this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+        }
+    }
+    
+    /**
+     * Limit a value to a { min, max } range
+     */
+    static clampToRange(value, range) {
+        return Math.max(range.min, Math.min(range.max, value));
+    }
+    
+    /**
+     * Throw unless settings is an object holding only keys of known, each a value of the same
+     * type (numbers must be finite)
+     */
+    static checkSettings(name, settings, known) {
+        if (typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error(`State ${name} must be an object`);
+        }
+        const invalid = Object.keys(settings).filter(key => {
+            const value = settings[key];
+            return !Object.prototype.hasOwnProperty.call(known, key) ||
+                typeof value !== typeof known[key] ||
+                (typeof value === 'number' && !Number.isFinite(value));
+        });
+        if (invalid.length > 0) {
+            throw new Error(`Invalid ${name} settings in state: ${invalid.join(', ')}`);
+        }
     }
 }
+
+/**
+ * Longest step (seconds) the animation loop takes, so a stalled frame doesn't teleport particles
+ */
+AdvancedParticleSphere.MAX_FRAME_DELTA = 0.1;
+
+/**
+ * Accepted particle counts and sizes, matching the demo's sliders
+ */
+AdvancedParticleSphere.PARTICLE_COUNT_RANGE = { min: 100, max: 10000 };
+AdvancedParticleSphere.PARTICLE_SIZE_RANGE = { min: 0.009, max: 0.08 };
+
+/**
+ * Accepted physics timesteps (seconds) and substeps per frame
+ */
+AdvancedParticleSphere.PHYSICS_TIMESTEP_RANGE = { min: 1 / 480, max: 1 / 30 };
+AdvancedParticleSphere.PHYSICS_SUBSTEP_RANGE = { min: 1, max: 32 };
+
+/**
+ * Full render quality; override per instance with options.quality or setQuality()
+ */
+AdvancedParticleSphere.DEFAULT_QUALITY = {
+    segments: 16,
+    pixelRatio: 2,
+    shadows: true,
+    particleScale: 1,
+    postProcessing: true
+};
+
+/**
+ * Default gesture settings; override per instance with options.gestures or setGestures()
+ */
+AdvancedParticleSphere.DEFAULT_GESTURES = {
+    pinch: true,
+    pinchSensitivity: 1, // scatter change per doubling of finger distance
+    longPress: true,
+    longPressDelay: 500, // ms
+    longPressTolerance: 10, // px a pointer may drift and still count as held
+    tap: true // explode around the pointer when physics is on and the tap starts on the sphere
+};
+
+/**
+ * Default spring physics; override per instance with options.physics or setPhysics()
+ */
+AdvancedParticleSphere.DEFAULT_PHYSICS = {
+    enabled: false,
+    stiffness: 40,
+    damping: 6, // below 2 * sqrt(stiffness * mass) the springs overshoot and bounce
+    mass: 1,
+    timestep: 1 / 120, // seconds per fixed step
+    maxSubsteps: 8,
+    impulseStrength: 40,
+    impulseRadius: 10
+};
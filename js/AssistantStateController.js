@@ -0,0 +1,151 @@
+/**
+ * AssistantStateController - Drives AdvancedParticleSphere from voice-assistant state
+ * Each state is a look made of scatter/cluster/rotation/glow values plus animated
+ * modulation (breathe, attention, swirl, pulse) that updateParticles() applies to targets
+ */
+class AssistantStateController {
+    constructor(sphere) {
+        this.sphere = sphere;
+        this.state = null;
+        
+        // Interpolated look currently applied to the sphere
+        this.current = this.captureLook();
+        this.from = { ...this.current };
+        this.to = { ...this.current };
+        
+        this.transitionStart = 0;
+        this.transitionDuration = 0;
+        this.easing = Easing.easeInOutCubic;
+        this.isTransitioning = false;
+        this.lastTime = sphere.time;
+    }
+    
+    /**
+     * Snapshot the sphere's current values as a look
+     */
+    captureLook() {
+        const modulation = this.sphere.stateModulation;
+        return {
+            scatterValue: this.sphere.scatterValue,
+            clusterValue: this.sphere.clusterValue,
+            rotationSpeed: this.sphere.rotationSpeed,
+            emissiveIntensity: this.sphere.materialProperties.emissiveIntensity,
+            breathe: modulation.breathe,
+            attention: modulation.attention,
+            swirl: modulation.swirl,
+            pulse: modulation.pulse
+        };
+    }
+    
+    /**
+     * Start an eased transition to a state
+     * It starts from the sphere's live values, so a transition in flight or a slider moved
+     * since the last one carries on from where the sphere actually is
+     */
+    setState(name, options = {}) {
+        const look = AssistantStateController.STATES[name];
+        if (!look) {
+            console.warn('Unknown assistant state:', name);
+            return false;
+        }
+        
+        this.state = name;
+        this.current = this.captureLook();
+        this.from = { ...this.current };
+        this.to = { ...this.current, ...look };
+        this.transitionStart = this.sphere.time;
+        this.transitionDuration = options.duration !== undefined ? options.duration : 0.8;
+        this.easing = Easing.resolve(options.easing || 'easeInOutCubic');
+        this.isTransitioning = true;
+        return true;
+    }
+    
+    /**
+     * Advance the swirl and any transition, then write the blended look to the sphere
+     */
+    update(time) {
+        const modulation = this.sphere.stateModulation;
+        const delta = time - this.lastTime;
+        this.lastTime = time;
+        
+        // Swirl spins at a rate proportional to its strength, so easing it in never jumps the angle.
+        // Once it has eased out the phase goes back to 0 so the sphere can skip the modulation pass
+        modulation.swirlPhase = modulation.swirl
+            ? (modulation.swirlPhase + delta * 1.5 * modulation.swirl) % (Math.PI * 2)
+            : 0;
+        
+        if (!this.isTransitioning) {
+            return;
+        }
+        
+        const elapsed = time - this.transitionStart;
+        const t = this.transitionDuration > 0 ? Math.min(elapsed / this.transitionDuration, 1) : 1;
+        const eased = this.easing(t);
+        
+        Object.keys(this.to).forEach(key => {
+            this.current[key] = this.from[key] + (this.to[key] - this.from[key]) * eased;
+        });
+        
+        this.sphere.setScatterValue(this.current.scatterValue);
+        this.sphere.setClusterValue(this.current.clusterValue);
+        this.sphere.rotationSpeed = this.current.rotationSpeed;
+        this.sphere.updateMaterialProperties({ emissiveIntensity: this.current.emissiveIntensity });
+        
+        modulation.breathe = this.current.breathe;
+        modulation.attention = this.current.attention;
+        modulation.swirl = this.current.swirl;
+        modulation.pulse = this.current.pulse;
+        
+        if (t >= 1) {
+            this.isTransitioning = false;
+        }
+    }
+}
+
+/**
+ * Built-in looks
+ * breathe: slow radial swell, attention: tightened and brighter,
+ * swirl: latitude-sheared spin, pulse: rippling radial beats
+ */
+AssistantStateController.STATES = {
+    idle: {
+        scatterValue: 0,
+        clusterValue: 1,
+        rotationSpeed: 0.3,
+        emissiveIntensity: 0.05,
+        breathe: 1,
+        attention: 0,
+        swirl: 0,
+        pulse: 0
+    },
+    listening: {
+        scatterValue: 0,
+        clusterValue: 1,
+        rotationSpeed: 0.15,
+        emissiveIntensity: 0.2,
+        breathe: 0.3,
+        attention: 1,
+        swirl: 0,
+        pulse: 0
+    },
+    thinking: {
+        scatterValue: 0.12,
+        clusterValue: 0.9,
+        rotationSpeed: 4,
+        emissiveIntensity: 0.12,
+        breathe: 0,
+        attention: 0,
+        swirl: 1,
+        pulse: 0
+    },
+    speaking: {
+        scatterValue: 0.05,
+        clusterValue: 1,
+        rotationSpeed: 0.6,
+        emissiveIntensity: 0.25,
+        breathe: 0,
+        attention: 0,
+        swirl: 0,
+        pulse: 1
+    }
+};
@@ -0,0 +1,287 @@
+/**
+ * AudioReactor - Web Audio analyser that turns sound into visualizer modulation
+ * Accepts a microphone MediaStream, an <audio>/<video> element, an AudioBuffer,
+ * an encoded file (Blob/File/ArrayBuffer) or any AudioNode
+ */
+class AudioReactor {
+    constructor(options = {}) {
+        this.audioContext = options.audioContext || null;
+        this.ownsContext = false;
+        
+        // Whether an <audio>/<video> element has been routed through audioContext
+        this.hasMediaElementSource = false;
+        this.fftSize = options.fftSize || 1024;
+        this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.6;
+        this.loop = options.loop !== undefined ? options.loop : true;
+        this.mappings = AudioReactor.mergeMappings(AudioReactor.DEFAULT_MAPPINGS, options.mappings);
+        
+        this.analyser = null;
+        this.sourceNode = null;
+        this.ownsSource = false;
+        
+        // Bumped by disconnect(), so a connect() still decoding knows it was superseded
+        this.connectRequest = 0;
+        this.frequencyData = null;
+        this.timeData = null;
+        
+        // Normalised 0..1 levels, refreshed by update()
+        this.levels = { volume: 0, bass: 0, mid: 0, treble: 0 };
+    }
+    
+    /**
+     * Create the audio context and analyser on first use
+     */
+    ensureContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+            this.ownsContext = true;
+        }
+        
+        if (!this.analyser) {
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = this.fftSize;
+            this.analyser.smoothingTimeConstant = this.smoothing;
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeData = new Uint8Array(this.analyser.fftSize);
+        }
+        
+        // Browsers start contexts suspended until a user gesture
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+    
+    /**
+     * Connect an audio source to the analyser, replacing any previous source
+     * Resolves to null if another connect(), disconnect() or dispose() came first while decoding
+     */
+    async connect(source) {
+        this.ensureContext();
+        this.disconnect();
+        const request = this.connectRequest;
+        
+        if (source instanceof Blob || source instanceof ArrayBuffer) {
+            const data = source instanceof Blob ? await source.arrayBuffer() : source;
+            const buffer = await this.audioContext.decodeAudioData(data);
+            if (request !== this.connectRequest) {
+                return null;
+            }
+            this.disconnect();
+            source = buffer;
+        }
+        
+        if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+            // Microphone input is analysed only, never played back (avoids feedback)
+            this.sourceNode = this.audioContext.createMediaStreamSource(source);
+            this.sourceNode.connect(this.analyser);
+        } else if (typeof HTMLMediaElement !== 'undefined' && source instanceof HTMLMediaElement) {
+            // A media element can only ever be wrapped once per context
+            this.sourceNode = AudioReactor.getMediaElementSource(this.audioContext, source);
+            this.hasMediaElementSource = true;
+            this.sourceNode.connect(this.analyser);
+            this.sourceNode.connect(this.audioContext.destination);
+        } else if (source instanceof AudioBuffer) {
+            this.sourceNode = this.audioContext.createBufferSource();
+            this.sourceNode.buffer = source;
+            this.sourceNode.loop = this.loop;
+            this.sourceNode.connect(this.analyser);
+            this.sourceNode.connect(this.audioContext.destination);
+            this.sourceNode.start();
+        } else if (source instanceof AudioNode) {
+            this.sourceNode = source;
+            this.sourceNode.connect(this.analyser);
+        } else {
+            throw new Error('Unsupported audio source');
+        }
+        
+        this.ownsSource = this.sourceNode !== source;
+        
+        return this.sourceNode;
+    }
+    
+    /**
+     * Detach the current source from the analyser
+     */
+    disconnect() {
+        this.connectRequest++;
+        if (!this.sourceNode) {
+            return;
+        }
+        
+        if (this.sourceNode instanceof AudioBufferSourceNode) {
+            this.sourceNode.stop();
+        }
+        
+        // Externally supplied nodes keep their other connections, and cached media element
+        // nodes keep playing to the speakers: only the analyser branch is cut for both
+        const isMediaElementSource = typeof MediaElementAudioSourceNode !== 'undefined' &&
+            this.sourceNode instanceof MediaElementAudioSourceNode;
+        if (this.ownsSource && !isMediaElementSource) {
+            this.sourceNode.disconnect();
+        } else {
+            this.sourceNode.disconnect(this.analyser);
+        }
+        this.sourceNode = null;
+        this.levels = { volume: 0, bass: 0, mid: 0, treble: 0 };
+    }
+    
+    /**
+     * Whether a source is currently feeding the analyser
+     */
+    isActive() {
+        return this.sourceNode !== null;
+    }
+    
+    /**
+     * Replace some or all of the modulation mappings
+     */
+    setMappings(mappings) {
+        this.mappings = AudioReactor.mergeMappings(this.mappings, mappings);
+    }
+    
+    /**
+     * Sample the analyser and refresh the band levels
+     */
+    update() {
+        if (!this.sourceNode) {
+            return;
+        }
+        
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.analyser.getByteTimeDomainData(this.timeData);
+        
+        // Loudness as RMS of the waveform, scaled so speech sits around 0.5
+        let sum = 0;
+        for (let i = 0; i < this.timeData.length; i++) {
+            const sample = (this.timeData[i] - 128) / 128;
+            sum += sample * sample;
+        }
+        this.levels.volume = Math.min(Math.sqrt(sum / this.timeData.length) * 3, 1);
+        
+        this.levels.bass = this.getBandLevel(20, 250);
+        this.levels.mid = this.getBandLevel(250, 2000);
+        this.levels.treble = this.getBandLevel(2000, 8000);
+    }
+    
+    /**
+     * Average analyser magnitude between two frequencies, normalised to 0..1
+     */
+    getBandLevel(minHz, maxHz) {
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        const start = Math.max(0, Math.floor(minHz / binWidth));
+        const end = Math.min(this.frequencyData.length - 1, Math.ceil(maxHz / binWidth));
+        
+        let sum = 0;
+        for (let i = start; i <= end; i++) {
+            sum += this.frequencyData[i];
+        }
+        return sum / ((end - start + 1) * 255);
+    }
+    
+    /**
+     * Level of the spectrum at t (0 = low, 1 = high) on a log frequency scale
+     * Used to give each particle its own slice of the spectrum
+     */
+    getSpectrumLevel(t) {
+        if (!this.sourceNode) {
+            return 0;
+        }
+        
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        const hz = 60 * Math.pow(8000 / 60, t);
+        const bin = Math.min(this.frequencyData.length - 1, Math.round(hz / binWidth));
+        return this.frequencyData[bin] / 255;
+    }
+    
+    /**
+     * Resolve a mapping's level; 'spectrum' mappings need a particle position t
+     */
+    getMappedLevel(mapping, t) {
+        if (mapping.source === 'spectrum') {
+            return this.getSpectrumLevel(t || 0);
+        }
+        return this.levels[mapping.source] || 0;
+    }
+    
+    /**
+     * Additive modulation for the whole system
+     * scale uses the overall volume here; per-particle scale goes through getParticleScale()
+     */
+    getModulation() {
+        const mappings = this.mappings;
+        const scaleLevel = mappings.scale.source === 'spectrum' ? this.levels.volume : this.getMappedLevel(mappings.scale);
+        
+        return {
+            scatter: this.getMappedLevel(mappings.scatter) * mappings.scatter.amount,
+            scale: scaleLevel * mappings.scale.amount,
+            emissive: this.getMappedLevel(mappings.emissive) * mappings.emissive.amount,
+            rotation: this.getMappedLevel(mappings.rotation) * mappings.rotation.amount
+        };
+    }
+    
+    /**
+     * Scale multiplier for a particle at spectrum position t
+     */
+    getParticleScale(t) {
+        return 1 + this.getMappedLevel(this.mappings.scale, t) * this.mappings.scale.amount;
+    }
+    
+    /**
+     * Release the analyser and, if this reactor created it, the audio context
+     * (pass closeContext = false to keep even that one open); options.audioContext is never closed.
+     * Nor is a context that wrapped an <audio>/<video> element: the element plays through it for
+     * good, so closing it would silence the element
+     */
+    dispose(closeContext = true) {
+        this.disconnect();
+        if (this.analyser) {
+            this.analyser.disconnect();
+            this.analyser = null;
+        }
+        if (closeContext && this.ownsContext && this.audioContext && !this.hasMediaElementSource) {
+            this.audioContext.close();
+        }
+        this.audioContext = null;
+        this.ownsContext = false;
+        this.hasMediaElementSource = false;
+    }
+    
+    /**
+     * Shallow-merge per-target mapping overrides
+     */
+    static mergeMappings(base, overrides = {}) {
+        const merged = {};
+        Object.keys(base).forEach(target => {
+            merged[target] = { ...base[target], ...(overrides[target] || {}) };
+        });
+        return merged;
+    }
+    
+    /**
+     * Reuse one MediaElementAudioSourceNode per element and context
+     */
+    static getMediaElementSource(audioContext, element) {
+        if (!AudioReactor.mediaSources) {
+            AudioReactor.mediaSources = new WeakMap();
+        }
+        
+        let node = AudioReactor.mediaSources.get(element);
+        if (!node || node.context !== audioContext) {
+            node = audioContext.createMediaElementSource(element);
+            AudioReactor.mediaSources.set(element, node);
+        }
+        return node;
+    }
+}
+
+/**
+ * Default mappings: source is 'volume', 'bass', 'mid', 'treble' or 'spectrum'
+ * (per-particle frequency slice); amount scales the 0..1 level
+ */
+AudioReactor.DEFAULT_MAPPINGS = {
+    scatter: { source: 'volume', amount: 0.35 },
+    scale: { source: 'spectrum', amount: 0.8 },
+    emissive: { source: 'treble', amount: 0.5 },
+    rotation: { source: 'mid', amount: 30 }
+};
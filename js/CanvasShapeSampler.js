@@ -0,0 +1,309 @@
+/**
+ * CanvasShapeSampler - Turns 2D canvas drawings into particle morph targets
+ * Draws text, images or SVG into an offscreen canvas, then samples filled pixels
+ * (or their edges) into exactly the requested number of positions, centred on the origin
+ */
+class CanvasShapeSampler {
+    /**
+     * Create an offscreen 2D canvas
+     */
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
+    /**
+     * Render (possibly multi-line) text and return its ImageData
+     * Options: font, fontSize (px), fontWeight, fontStyle, lineHeight (multiple of fontSize), align
+     */
+    static renderText(text, options = {}) {
+        const fontSize = options.fontSize || 96;
+        const font = `${options.fontStyle || 'normal'} ${options.fontWeight || 'bold'} ${fontSize}px ${options.font || 'sans-serif'}`;
+        const lineHeight = fontSize * (options.lineHeight || 1.1);
+        const align = options.align || 'center';
+        const lines = String(text).split('\n');
+        
+        // Measure first so the canvas fits the text exactly
+        const measure = CanvasShapeSampler.createCanvas(1, 1).getContext('2d');
+        measure.font = font;
+        const lineWidths = lines.map(line => Math.ceil(measure.measureText(line).width));
+        const padding = Math.ceil(fontSize * 0.25);
+        const width = Math.max(1, Math.max(...lineWidths) + padding * 2);
+        const height = Math.ceil(lineHeight * lines.length) + padding * 2;
+        
+        const canvas = CanvasShapeSampler.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.font = font;
+        context.fillStyle = '#ffffff';
+        context.textBaseline = 'middle';
+        context.textAlign = align;
+        
+        const x = align === 'left' ? padding : align === 'right' ? width - padding : width / 2;
+        lines.forEach((line, i) => {
+            context.fillText(line, x, padding + lineHeight * (i + 0.5));
+        });
+        
+        return context.getImageData(0, 0, width, height);
+    }
+    
+    /**
+     * Load an image source and rasterise it to ImageData
+     * Accepts a URL, a Blob/File (PNG, SVG, ...), SVG markup ('<svg ...'), SVG path data
+     * ('M 0 0 L ...'), or anything drawImage() accepts (img, canvas, ImageBitmap)
+     * Options: resolution (longest side in px, default 256), viewBox ([x, y, w, h] for path data)
+     */
+    static async loadImageData(source, options = {}) {
+        if (typeof source === 'string' && /^\s*[Mm]\s*[-+.\d]/.test(source)) {
+            return CanvasShapeSampler.rasterizeSvgPath(source, options);
+        }
+        
+        let objectUrl = null;
+        if (typeof source === 'string' && /^\s*</.test(source)) {
+            source = new Blob([source], { type: 'image/svg+xml' });
+        }
+        if (source instanceof Blob) {
+            objectUrl = URL.createObjectURL(source);
+            source = objectUrl;
+        }
+        
+        try {
+            if (typeof source === 'string') {
+                const image = new Image();
+                image.crossOrigin = 'anonymous';
+                image.src = source;
+                await image.decode();
+                source = image;
+            }
+            return CanvasShapeSampler.rasterizeImage(source, options);
+        } finally {
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        }
+    }
+    
+    /**
+     * Draw an image scaled so its longest side is options.resolution pixels
+     */
+    static rasterizeImage(image, options = {}) {
+        const resolution = options.resolution || 256;
+        const sourceWidth = image.naturalWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.height;
+        if (!sourceWidth || !sourceHeight) {
+            throw new Error('Image has no size; SVGs need width/height or a viewBox');
+        }
+        
+        const scale = resolution / Math.max(sourceWidth, sourceHeight);
+        const width = Math.max(1, Math.round(sourceWidth * scale));
+        const height = Math.max(1, Math.round(sourceHeight * scale));
+        
+        const canvas = CanvasShapeSampler.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, width, height);
+        return context.getImageData(0, 0, width, height);
+    }
+    
+    /**
+     * Fill an SVG path ('d' attribute syntax) and return its ImageData
+     * The path's coordinate box comes from options.viewBox, defaulting to 0 0 100 100
+     */
+    static rasterizeSvgPath(pathData, options = {}) {
+        const resolution = options.resolution || 256;
+        const [viewX, viewY, viewWidth, viewHeight] = options.viewBox || [0, 0, 100, 100];
+        const scale = resolution / Math.max(viewWidth, viewHeight);
+        const width = Math.max(1, Math.round(viewWidth * scale));
+        const height = Math.max(1, Math.round(viewHeight * scale));
+        
+        const canvas = CanvasShapeSampler.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.setTransform(scale, 0, 0, scale, -viewX * scale, -viewY * scale);
+        context.fillStyle = '#ffffff';
+        context.fill(new Path2D(pathData), options.fillRule || 'nonzero');
+        return context.getImageData(0, 0, width, height);
+    }
+    
+    /**
+     * Sample count positions from an ImageData's filled pixels
+     * Options:
+     *   outline   - sample only edge pixels instead of the filled area
+     *   threshold - minimum alpha (0..255) for a pixel to count as filled (default 128)
+     *   weight    - 'alpha' or 'luminance' to make denser areas attract more particles
+     *   invert    - with luminance weighting, treat dark pixels as dense
+     *   maxWidth / maxHeight - world-space box the result is fitted into (default 8 x 5)
+     *   depth     - random z thickness (default 0, flat like the smiley)
+     *   seed / random - repeatable sampling (see SeededRandom.fromOptions)
+     */
+    static sampleImageData(imageData, count, options = {}) {
+        const { width, height, data } = imageData;
+        const random = SeededRandom.fromOptions(options);
+        const threshold = options.threshold !== undefined ? options.threshold : 128;
+        
+        const filled = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            filled[i] = data[i * 4 + 3] >= threshold ? 1 : 0;
+        }
+        
+        // Candidate pixels: everything filled, or only filled pixels touching an empty one
+        const candidates = [];
+        const weights = [];
+        let minX = width;
+        let minY = height;
+        let maxX = 0;
+        let maxY = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (!filled[index]) {
+                    continue;
+                }
+                
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+                
+                if (options.outline) {
+                    const isEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+                        !filled[index - 1] || !filled[index + 1] ||
+                        !filled[index - width] || !filled[index + width];
+                    if (!isEdge) {
+                        continue;
+                    }
+                }
+                candidates.push(x, y);
+                if (options.weight) {
+                    weights.push(CanvasShapeSampler.pixelWeight(data, index, options));
+                }
+            }
+        }
+        
+        if (candidates.length === 0) {
+            throw new Error('Nothing to sample: the drawing has no filled pixels');
+        }
+        
+        const picks = options.weight
+            ? CanvasShapeSampler.pickWeightedIndices(weights, count, random)
+            : CanvasShapeSampler.pickIndices(candidates.length / 2, count, random);
+        
+        // Fit the filled bounding box into the target box, centred on the origin
+        const maxWidth = options.maxWidth || 8;
+        const maxHeight = options.maxHeight || 5;
+        const boxWidth = maxX - minX + 1;
+        const boxHeight = maxY - minY + 1;
+        const scale = Math.min(maxWidth / boxWidth, maxHeight / boxHeight);
+        const centerX = (minX + maxX + 1) / 2;
+        const centerY = (minY + maxY + 1) / 2;
+        const depth = options.depth || 0;
+        
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const candidate = picks[i] * 2;
+            // Jitter within the pixel so reused pixels don't stack
+            const px = candidates[candidate] + random();
+            const py = candidates[candidate + 1] + random();
+            positions[i * 3] = (px - centerX) * scale;
+            positions[i * 3 + 1] = -(py - centerY) * scale;
+            positions[i * 3 + 2] = depth ? (random() - 0.5) * depth : 0;
+        }
+        return positions;
+    }
+    
+    /**
+     * Choose count indices from available: without repeats when possible,
+     * otherwise every index at least once before any repeats
+     */
+    static pickIndices(available, count, random = Math.random) {
+        const indices = new Uint32Array(available);
+        for (let i = 0; i < available; i++) {
+            indices[i] = i;
+        }
+        
+        const picks = new Uint32Array(count);
+        let remaining = 0;
+        for (let i = 0; i < count; i++) {
+            if (remaining === 0) {
+                remaining = available;
+            }
+            // Partial Fisher-Yates shuffle
+            const j = Math.floor(random() * remaining);
+            remaining--;
+            const picked = indices[j];
+            indices[j] = indices[remaining];
+            indices[remaining] = picked;
+            picks[i] = picked;
+        }
+        return picks;
+    }
+    
+    /**
+     * Density weight of a pixel (0..1)
+     */
+    static pixelWeight(data, index, options) {
+        const offset = index * 4;
+        if (options.weight === 'luminance') {
+            const luminance = (0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2]) / 255;
+            const value = options.invert ? 1 - luminance : luminance;
+            return value * (data[offset + 3] / 255);
+        }
+        return data[offset + 3] / 255;
+    }
+    
+    /**
+     * Choose count indices with probability proportional to weight
+     */
+    static pickWeightedIndices(weights, count, random = Math.random) {
+        const cumulative = new Float64Array(weights.length);
+        let total = 0;
+        for (let i = 0; i < weights.length; i++) {
+            total += weights[i];
+            cumulative[i] = total;
+        }
+        if (total <= 0) {
+            throw new Error('Nothing to sample: every pixel has zero weight');
+        }
+        
+        const picks = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            // Binary search the cumulative distribution
+            const target = random() * total;
+            let low = 0;
+            let high = cumulative.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cumulative[mid] <= target) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            picks[i] = low;
+        }
+        return picks;
+    }
+    
+    /**
+     * Generator for a pre-rasterised image; sampling options can be overridden per morph
+     */
+    static imageShape(imageData, defaults = {}) {
+        return (count, options = {}) => CanvasShapeSampler.sampleImageData(imageData, count, { ...defaults, ...options });
+    }
+    
+    /**
+     * Shape generator for text: morphToShape('text', { text: 'Hello', font: 'Georgia' })
+     */
+    static textShape(count, options = {}) {
+        if (options.text === undefined || options.text === '') {
+            throw new Error('The "text" shape needs a non-empty options.text');
+        }
+        
+        const imageData = CanvasShapeSampler.renderText(options.text, options);
+        return CanvasShapeSampler.sampleImageData(imageData, count, options);
+    }
+}
+
+ShapeRegistry.global.register('text', CanvasShapeSampler.textShape);
@@ -0,0 +1,39 @@
+/**
+ * Easing - Named easing curves for transitions
+ * Each function maps normalised time t (0..1) to eased progress
+ */
+const Easing = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeOutBack: t => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    },
+    easeOutElastic: t => {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1;
+    },
+    
+    /**
+     * Resolve an easing given by name or as a function; unknown names warn and fall back to linear
+     */
+    resolve(easing) {
+        if (typeof easing === 'function') {
+            return easing;
+        }
+        if (easing === 'resolve' || typeof Easing[easing] !== 'function') {
+            console.warn('Unknown easing:', easing);
+            return Easing.linear;
+        }
+        return Easing[easing];
+    }
+};
@@ -0,0 +1,88 @@
+/**
+ * EventEmitter - Minimal on/off/once event subscriptions
+ * Listeners are called with a single detail object; a throwing listener is logged
+ * and doesn't stop the others (or the animation loop that emitted the event)
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+    
+    /**
+     * Subscribe to an event
+     */
+    on(type, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error(`Listener for "${type}" must be a function`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return this;
+    }
+    
+    /**
+     * Unsubscribe a listener added with on() or once()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            return this;
+        }
+        
+        const index = listeners.findIndex(entry => entry === listener || entry.listener === listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        if (listeners.length === 0) {
+            this.listeners.delete(type);
+        }
+        return this;
+    }
+    
+    /**
+     * Subscribe for the next occurrence only
+     */
+    once(type, listener) {
+        const wrapper = detail => {
+            this.off(type, wrapper);
+            listener(detail);
+        };
+        // Lets off(type, listener) find the wrapper
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+    
+    /**
+     * Call every listener of an event with detail
+     */
+    emit(type, detail = {}) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            return false;
+        }
+        
+        // Copy so listeners can unsubscribe while being called
+        listeners.slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+        return true;
+    }
+    
+    /**
+     * Drop all listeners of one event, or of every event
+     */
+    removeAllListeners(type) {
+        if (type === undefined) {
+            this.listeners.clear();
+        } else {
+            this.listeners.delete(type);
+        }
+        return this;
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * ForceField - Composable displacements layered onto particle targets
+ * Fields are added with AdvancedParticleSphere.addForceField() and run after the
+ * scatter/cluster/shape target and assistant-state look are computed. Each field has a
+ * strength, a radius with falloff ('none', 'linear' or 'smooth') and a position that
+ * may be animated by passing a function of time returning {x, y, z}
+ */
+class ForceField {
+    constructor(options = {}) {
+        this.strength = options.strength !== undefined ? options.strength : 1;
+        this.radius = options.radius !== undefined ? options.radius : Infinity;
+        this.falloff = options.falloff || 'linear';
+        this.position = options.position || { x: 0, y: 0, z: 0 };
+        this.enabled = options.enabled !== false;
+        
+        // World-space center, and the same point in the particle group's rotating frame
+        this.center = new THREE.Vector3();
+        this.localCenter = new THREE.Vector3();
+        this.inverseRotation = new THREE.Quaternion();
+        this.time = 0;
+        this.startTime = null;
+    }
+    
+    /**
+     * Resolve the animated position once per frame and convert it to the group's local space
+     */
+    update(time, group) {
+        if (this.startTime === null) {
+            this.startTime = time;
+        }
+        this.time = time;
+        
+        const position = typeof this.position === 'function' ? this.position(time) : this.position;
+        this.center.set(position.x || 0, position.y || 0, position.z || 0);
+        this.localCenter.copy(this.center);
+        this.inverseRotation.identity();
+        if (group) {
+            group.worldToLocal(this.localCenter);
+            this.inverseRotation.copy(group.quaternion).invert();
+        }
+    }
+    
+    /**
+     * Falloff weight (0..1) at a distance from the field
+     */
+    getWeight(distance) {
+        if (distance >= this.radius) {
+            return 0;
+        }
+        if (this.falloff === 'none' || this.radius === Infinity) {
+            return 1;
+        }
+        
+        const t = 1 - distance / this.radius;
+        return this.falloff === 'smooth' ? t * t * (3 - 2 * t) : t;
+    }
+    
+    /**
+     * Add this field's displacement for a point to offset; implemented by each field type
+     */
+    apply(point, offset) {}
+    
+    /**
+     * Build a field from a plain description: { type: 'attractor' | 'vortex' | 'wind' | 'curl', ... }
+     */
+    static create(description) {
+        const Field = ForceField.TYPES[description.type];
+        if (!Field) {
+            throw new Error(`Unknown force field type "${description.type}". Known types: ${Object.keys(ForceField.TYPES).join(', ')}`);
+        }
+        return new Field(description);
+    }
+    
+    /**
+     * Smooth 3D gradient noise in roughly -1..1 (improved Perlin with a hashed lattice)
+     */
+    static noise(x, y, z) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const xf = x - xi;
+        const yf = y - yi;
+        const zf = z - zi;
+        const u = xf * xf * xf * (xf * (xf * 6 - 15) + 10);
+        const v = yf * yf * yf * (yf * (yf * 6 - 15) + 10);
+        const w = zf * zf * zf * (zf * (zf * 6 - 15) + 10);
+        
+        const lerp = (a, b, t) => a + (b - a) * t;
+        const corner = (dx, dy, dz) => ForceField.gradient(xi + dx, yi + dy, zi + dz, xf - dx, yf - dy, zf - dz);
+        
+        return lerp(
+            lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), u), lerp(corner(0, 1, 0), corner(1, 1, 0), u), v),
+            lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), u), lerp(corner(0, 1, 1), corner(1, 1, 1), u), v),
+            w
+        );
+    }
+    
+    /**
+     * Dot product of a lattice corner's pseudo-random gradient with the offset to it
+     */
+    static gradient(ix, iy, iz, x, y, z) {
+        let hash = Math.imul(ix, 374761393) ^ Math.imul(iy, 668265263) ^ Math.imul(iz, 2147483647);
+        hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+        hash = (hash ^ (hash >>> 16)) & 15;
+        
+        // The 12 cube-edge directions (4 repeated), as in improved Perlin noise
+        const a = hash < 8 ? x : y;
+        const b = hash < 4 ? y : hash === 12 || hash === 14 ? x : z;
+        return ((hash & 1) === 0 ? a : -a) + ((hash & 2) === 0 ? b : -b);
+    }
+}
+
+/**
+ * Pulls particles toward its position; negative strength repels
+ * Strength is the displacement in world units at full weight
+ */
+class AttractorField extends ForceField {
+    apply(point, offset) {
+        const dx = this.localCenter.x - point.x;
+        const dy = this.localCenter.y - point.y;
+        const dz = this.localCenter.z - point.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (distance < 1e-6) {
+            return;
+        }
+        
+        let amount = this.strength * this.getWeight(distance);
+        // Attraction stops at the center instead of flinging particles through it
+        amount = Math.min(amount, distance);
+        offset.x += (dx / distance) * amount;
+        offset.y += (dy / distance) * amount;
+        offset.z += (dz / distance) * amount;
+    }
+}
+
+/**
+ * Spins particles around an axis through its position
+ * Strength is the spin rate in radians per second at full weight; falloff uses the distance from the axis
+ */
+class VortexField extends ForceField {
+    constructor(options = {}) {
+        super(options);
+        const axis = options.axis || { x: 0, y: 1, z: 0 };
+        this.axis = new THREE.Vector3(axis.x || 0, axis.y || 0, axis.z || 0).normalize();
+        this.localAxis = this.axis.clone();
+        this.relative = new THREE.Vector3();
+        this.rotation = new THREE.Quaternion();
+    }
+    
+    update(time, group) {
+        super.update(time, group);
+        this.localAxis.copy(this.axis).applyQuaternion(this.inverseRotation);
+    }
+    
+    apply(point, offset) {
+        this.relative.subVectors(point, this.localCenter);
+        const along = this.relative.dot(this.localAxis);
+        const distance = Math.sqrt(Math.max(0, this.relative.lengthSq() - along * along));
+        const weight = this.getWeight(distance);
+        if (weight === 0) {
+            return;
+        }
+        
+        // Angle grows from when the field was added so adding it doesn't jump
+        const angle = this.strength * (this.time - this.startTime) * weight;
+        this.rotation.setFromAxisAngle(this.localAxis, angle);
+        offset.sub(this.relative);
+        offset.add(this.relative.applyQuaternion(this.rotation));
+    }
+}
+
+/**
+ * Pushes particles along a world-space direction
+ * Strength is the displacement in world units at full weight
+ */
+class WindField extends ForceField {
+    constructor(options = {}) {
+        super(options);
+        const direction = options.direction || { x: 1, y: 0, z: 0 };
+        this.direction = new THREE.Vector3(direction.x || 0, direction.y || 0, direction.z || 0).normalize();
+        this.localDirection = this.direction.clone();
+    }
+    
+    update(time, group) {
+        super.update(time, group);
+        this.localDirection.copy(this.direction).applyQuaternion(this.inverseRotation);
+    }
+    
+    apply(point, offset) {
+        const weight = this.getWeight(point.distanceTo(this.localCenter));
+        offset.addScaledVector(this.localDirection, this.strength * weight);
+    }
+}
+
+/**
+ * Divergence-free turbulence from the curl of animated gradient noise
+ * Options: scale (spatial frequency, default 0.3), speed (how fast the flow evolves, default 0.3)
+ */
+class CurlNoiseField extends ForceField {
+    constructor(options = {}) {
+        super(options);
+        this.scale = options.scale !== undefined ? options.scale : 0.3;
+        this.speed = options.speed !== undefined ? options.speed : 0.3;
+    }
+    
+    apply(point, offset) {
+        const weight = this.getWeight(point.distanceTo(this.localCenter));
+        if (weight === 0) {
+            return;
+        }
+        
+        const x = point.x * this.scale;
+        const y = point.y * this.scale;
+        const z = point.z * this.scale + this.time * this.speed;
+        const e = 0.1;
+        
+        // Three decorrelated potentials, offset in noise space
+        const px = (x0, y0, z0) => ForceField.noise(x0, y0, z0);
+        const py = (x0, y0, z0) => ForceField.noise(x0 + 31.4, y0 + 17.1, z0 + 5.7);
+        const pz = (x0, y0, z0) => ForceField.noise(x0 - 11.3, y0 + 47.9, z0 - 23.2);
+        
+        // curl = (dPz/dy - dPy/dz, dPx/dz - dPz/dx, dPy/dx - dPx/dy) by central differences
+        const curlX = (pz(x, y + e, z) - pz(x, y - e, z)) - (py(x, y, z + e) - py(x, y, z - e));
+        const curlY = (px(x, y, z + e) - px(x, y, z - e)) - (pz(x + e, y, z) - pz(x - e, y, z));
+        const curlZ = (py(x + e, y, z) - py(x - e, y, z)) - (px(x, y + e, z) - px(x, y - e, z));
+        
+        const amount = (this.strength * weight) / (2 * e);
+        offset.x += curlX * amount;
+        offset.y += curlY * amount;
+        offset.z += curlZ * amount;
+    }
+}
+
+/**
+ * Field type names accepted by ForceField.create() and addForceField()
+ */
+ForceField.TYPES = {
+    attractor: AttractorField,
+    vortex: VortexField,
+    wind: WindField,
+    curl: CurlNoiseField
+};
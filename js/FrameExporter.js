@@ -0,0 +1,299 @@
+/**
+ * FrameExporter - Offline capture of an AdvancedParticleSphere
+ * Frames are rendered at any resolution by stepping the simulation at a fixed rate, so exports
+ * never drop frames however slow each one is to draw. Outputs a PNG sequence in a zip, a WebM
+ * (MediaRecorder over canvas.captureStream()) or a single high-resolution still.
+ * Transparent captures clear to alpha 0 and skip motion blur and post-processing, whose buffers
+ * don't keep alpha
+ */
+class FrameExporter {
+    constructor(sphere) {
+        this.sphere = sphere;
+        this.isExporting = false;
+    }
+    
+    /**
+     * Render the current state once; options: { width, height, transparent, type, quality }
+     * Width and height default to the canvas size in device pixels; resolves to an image Blob
+     */
+    async captureScreenshot(options = {}) {
+        return this.run(options, () => {
+            this.render(options.transparent);
+            return this.readCanvas(options.type || 'image/png', options.quality);
+        });
+    }
+    
+    /**
+     * Step the simulation at fps and capture every frame
+     * Options: { format: 'png' (zip of frame-00000.png, ...) or 'webm', fps (30), duration (seconds, 5)
+     * or frames, width, height, transparent, bitrate (WebM bits per second), onProgress(frame, total) }
+     * The visualizer is left at the state the recording ended on. WebM is recorded in real time,
+     * because MediaRecorder timestamps frames by the wall clock; PNG sequences run as fast as they render
+     */
+    async exportFrames(options = {}) {
+        const format = options.format || 'png';
+        if (!FrameExporter.FORMATS.includes(format)) {
+            throw new Error(`Unknown export format "${format}". Known formats: ${FrameExporter.FORMATS.join(', ')}`);
+        }
+        const fps = options.fps || 30;
+        const frameCount = options.frames || Math.max(1, Math.round((options.duration || 5) * fps));
+        
+        return this.run(options, () => format === 'webm'
+            ? this.recordWebm(frameCount, fps, options)
+            : this.recordPngSequence(frameCount, fps, options));
+    }
+    
+    /**
+     * Render every frame to PNG and pack them into an uncompressed zip
+     */
+    async recordPngSequence(frameCount, fps, options) {
+        const files = [];
+        for (let frame = 0; frame < frameCount; frame++) {
+            this.renderExportFrame(frame, fps, options.transparent);
+            const data = await this.readCanvas('image/png');
+            files.push({ name: `frame-${String(frame).padStart(5, '0')}.png`, data });
+            if (options.onProgress) {
+                options.onProgress(frame + 1, frameCount);
+            }
+        }
+        return FrameExporter.createZip(files);
+    }
+    
+    /**
+     * Render frames into a MediaRecorder, pushing each one to the stream at its slot in real time
+     */
+    async recordWebm(frameCount, fps, options) {
+        const canvas = this.sphere.renderer.domElement;
+        if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+            throw new Error('WebM export needs MediaRecorder and canvas.captureStream(), which this browser lacks');
+        }
+        
+        // Frame rate 0: frames enter the stream only through requestFrame()
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = FrameExporter.WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: options.bitrate || 12000000
+        });
+        const chunks = [];
+        recorder.ondataavailable = event => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+        
+        recorder.start();
+        const startTime = performance.now();
+        try {
+            for (let frame = 0; frame < frameCount; frame++) {
+                this.renderExportFrame(frame, fps, options.transparent);
+                track.requestFrame();
+                if (options.onProgress) {
+                    options.onProgress(frame + 1, frameCount);
+                }
+                
+                // Hold the frame on screen until the next one is due
+                const wait = startTime + ((frame + 1) * 1000) / fps - performance.now();
+                await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+            }
+        } finally {
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+        return new Blob(chunks, { type: mimeType.split(';')[0] || 'video/webm' });
+    }
+    
+    /**
+     * Step to frame (the first frame shows the current state) and draw it
+     */
+    renderExportFrame(frame, fps, transparent) {
+        if (this.sphere.isDisposed) {
+            throw new Error('The visualizer was disposed during the export');
+        }
+        if (frame > 0) {
+            this.sphere.step(1 / fps);
+        }
+        this.render(transparent);
+    }
+    
+    /**
+     * Draw the current state: the normal frame, or on a clear background without effects
+     */
+    render(transparent) {
+        const sphere = this.sphere;
+        if (!transparent) {
+            sphere.renderFrame();
+            return;
+        }
+        
+        const renderer = sphere.renderer;
+        const background = sphere.scene.background;
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+        sphere.scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+        renderer.setRenderTarget(null);
+        renderer.render(sphere.scene, sphere.camera);
+        sphere.scene.background = background;
+        renderer.setClearColor(clearColor, clearAlpha);
+    }
+    
+    /**
+     * Encode what was just drawn; toBlob() snapshots the canvas synchronously, so this works
+     * without preserveDrawingBuffer as long as it runs in the same task as the render
+     */
+    readCanvas(type, quality) {
+        return new Promise((resolve, reject) => {
+            this.sphere.renderer.domElement.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not read the canvas'));
+                }
+            }, type, quality);
+        });
+    }
+    
+    /**
+     * Run a capture at the requested size with the animation loop stopped, then put everything back
+     */
+    async run(options, capture) {
+        if (this.isExporting) {
+            throw new Error('An export is already running');
+        }
+        
+        const sphere = this.sphere;
+        const renderer = sphere.renderer;
+        const pixelRatio = renderer.getPixelRatio();
+        const width = Math.round(options.width || sphere.viewportWidth * pixelRatio);
+        const height = Math.round(options.height || sphere.viewportHeight * pixelRatio);
+        const maxSize = renderer.capabilities.maxTextureSize;
+        if (!(width >= 1 && height >= 1 && width <= maxSize && height <= maxSize)) {
+            throw new Error(`Export size must be between 1 and ${maxSize} pixels per side, got ${width}x${height}`);
+        }
+        
+        const wasRunning = sphere.isRunning;
+        this.isExporting = true;
+        sphere.stop();
+        
+        // Drawing buffer only: the canvas keeps its CSS size on the page
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        sphere.camera.aspect = width / height;
+        sphere.camera.updateProjectionMatrix();
+        sphere.postProcessing.setSize(width, height);
+        
+        try {
+            return await capture();
+        } finally {
+            this.isExporting = false;
+            if (!sphere.isDisposed) {
+                renderer.setPixelRatio(pixelRatio);
+                renderer.setSize(sphere.viewportWidth, sphere.viewportHeight, false);
+                sphere.camera.aspect = sphere.viewportWidth / sphere.viewportHeight;
+                sphere.camera.updateProjectionMatrix();
+                sphere.postProcessing.setSize(sphere.viewportWidth, sphere.viewportHeight);
+                // Pick up container resizes that were held back during the capture
+                sphere.onWindowResize();
+                if (wasRunning) {
+                    sphere.start();
+                }
+            }
+        }
+    }
+    
+    /**
+     * Pack files ({ name, data: Blob }) into a zip without compression (PNGs are compressed already)
+     * The file data stays in Blobs, so long sequences aren't copied into one big buffer
+     */
+    static async createZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = FrameExporter.crc32(new Uint8Array(await file.data.arrayBuffer()));
+            const size = file.data.size;
+            
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true); // local file header signature
+            header.setUint16(4, 20, true); // version needed (2.0)
+            header.setUint16(8, 0, true); // stored, no compression
+            header.setUint16(12, 0x21, true); // date: 1980-01-01
+            header.setUint32(14, crc, true);
+            header.setUint32(18, size, true);
+            header.setUint32(22, size, true);
+            header.setUint16(26, name.length, true);
+            parts.push(header, name, file.data);
+            
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true); // central directory signature
+            entry.setUint16(4, 20, true); // version made by
+            entry.setUint16(6, 20, true); // version needed
+            entry.setUint16(14, 0x21, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true); // local header offset
+            directory.push(entry, name);
+            
+            offset += 30 + name.length + size;
+        }
+        
+        const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // end of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+    
+    /**
+     * CRC-32 (IEEE) of a byte array, as zip entries need
+     */
+    static crc32(bytes) {
+        if (!FrameExporter.crcTable) {
+            FrameExporter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                FrameExporter.crcTable[n] = c;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = FrameExporter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+/**
+ * Export formats and the WebM encodings tried in order
+ */
+FrameExporter.FORMATS = ['png', 'webm'];
+FrameExporter.WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * CRC-32 lookup table, built on first use
+ */
+FrameExporter.crcTable = null;
+
+// Node (tests, build scripts): export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameExporter;
+}
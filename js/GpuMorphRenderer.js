@@ -0,0 +1,269 @@
+/**
+ * GpuMorphRenderer - Instanced backend that blends morph targets in the vertex shader
+ * Sphere, scatter and shape targets are uploaded once as instance attributes;
+ * each frame only a handful of uniforms change, so CPU cost is independent of particle count
+ */
+class GpuMorphRenderer extends InstancedParticleRenderer {
+    constructor(geometry, material, count) {
+        super(geometry, material, count);
+        
+        // Bound into the shader at compile time, so later value changes need no recompiling
+        this.uniforms = {
+            uScatter: { value: 0 },
+            uCluster: { value: 1 },
+            uShapeWeight: { value: 0 },
+            uShapeProgress: { value: 1 },
+            uShapeRotation: { value: 0 },
+            uTime: { value: 0 },
+            uBreathe: { value: 0 },
+            uAttention: { value: 0 },
+            uSwirl: { value: 0 },
+            uSwirlPhase: { value: 0 },
+            uPulse: { value: 0 },
+            uPointers: { value: Array.from({ length: GpuMorphRenderer.MAX_POINTERS }, () => new THREE.Vector3()) },
+            uPointerCount: { value: 0 },
+            uInteractionRadius: { value: 2 },
+            uInteractionStrength: { value: 0.5 },
+            uEmissiveBase: { value: 0.05 },
+            uScale: { value: 1 },
+            uWarp: { value: 0 }
+        };
+        
+        this.originalAttribute = this.createTargetAttribute('aOriginal');
+        this.scatteredAttribute = this.createTargetAttribute('aScattered');
+        this.shapeFromAttribute = this.createTargetAttribute('aShapeFrom');
+        this.shapeToAttribute = this.createTargetAttribute('aShapeTo');
+        
+        // Positions come from the shader, so every instance matrix stays identity
+        const identity = new THREE.Matrix4();
+        for (let i = 0; i < count; i++) {
+            this.mesh.setMatrixAt(i, identity);
+        }
+        this.mesh.instanceMatrix.setUsage(THREE.StaticDrawUsage);
+        
+        // The stock depth material knows nothing about the morph, so shadows would sit at the origin
+        this.mesh.castShadow = false;
+        
+        // Shape rotation at the time the current shape target was uploaded
+        this.rotationOffset = 0;
+    }
+    
+    /**
+     * Allocate a vec3 per-instance target attribute
+     */
+    createTargetAttribute(name) {
+        const attribute = new THREE.InstancedBufferAttribute(new Float32Array(this.count * 3), 3);
+        this.geometry.setAttribute(name, attribute);
+        return attribute;
+    }
+    
+    /**
+     * Replace the instanced emissive patch with the full morph shader
+     */
+    patchMaterial(material) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.uniforms);
+            
+            shader.vertexShader = shader.vertexShader
+                .replace(
+                    '#include <common>',
+                    `#include <common>
+                    attribute vec3 aOriginal;
+                    attribute vec3 aScattered;
+                    attribute vec3 aShapeFrom;
+                    attribute vec3 aShapeTo;
+                    uniform float uScatter;
+                    uniform float uCluster;
+                    uniform float uShapeWeight;
+                    uniform float uShapeProgress;
+                    uniform float uShapeRotation;
+                    uniform float uTime;
+                    uniform float uBreathe;
+                    uniform float uAttention;
+                    uniform float uSwirl;
+                    uniform float uSwirlPhase;
+                    uniform float uPulse;
+                    uniform vec3 uPointers[${GpuMorphRenderer.MAX_POINTERS}];
+                    uniform int uPointerCount;
+                    uniform float uInteractionRadius;
+                    uniform float uInteractionStrength;
+                    uniform float uEmissiveBase;
+                    uniform float uScale;
+                    uniform float uWarp;
+                    varying float vInstanceEmissive;
+                    
+                    vec3 morphTarget() {
+                        // Same scatter/cluster blend as AdvancedParticleSphere.updateParticles()
+                        vec3 scatterTarget = mix(aOriginal, aScattered, uScatter);
+                        vec3 clusterTarget = mix(aScattered, aOriginal, uCluster);
+                        vec3 sphereTarget = mix(scatterTarget, clusterTarget, 0.5);
+                        
+                        vec3 shapeTarget = mix(aShapeFrom, aShapeTo, uShapeProgress);
+                        float c = cos(uShapeRotation);
+                        float s = sin(uShapeRotation);
+                        shapeTarget.xy = vec2(
+                            shapeTarget.x * c - shapeTarget.y * s,
+                            shapeTarget.x * s + shapeTarget.y * c
+                        );
+                        
+                        return mix(sphereTarget, shapeTarget, uShapeWeight);
+                    }
+                    
+                    // Assistant state look, same as AdvancedParticleSphere.applyStateModulation()
+                    vec3 applyStateModulation(vec3 p) {
+                        float angle = uSwirlPhase + uSwirl * p.y * 0.35;
+                        float c = cos(angle);
+                        float s = sin(angle);
+                        p.xz = vec2(p.x * c - p.z * s, p.x * s + p.z * c);
+                        
+                        float radial = 1.0;
+                        radial += uBreathe * 0.04 * sin(uTime * 1.2);
+                        radial -= uAttention * (0.08 + 0.015 * sin(uTime * 3.0));
+                        radial += uPulse * 0.08 * max(0.0, sin(uTime * 6.0 - p.y * 0.8));
+                        return p * radial;
+                    }`
+                )
+                .replace(
+                    '#include <begin_vertex>',
+                    `vec3 morphed = applyStateModulation(morphTarget());
+                    
+                    // Pointer repulsion, one field per active pointer
+                    float influence = 0.0;
+                    vec3 repulsion = vec3(0.0);
+                    for (int i = 0; i < ${GpuMorphRenderer.MAX_POINTERS}; i++) {
+                        if (i >= uPointerCount) {
+                            break;
+                        }
+                        vec3 away = morphed - uPointers[i];
+                        float pointerDistance = length(away);
+                        float pointerInfluence = step(pointerDistance, uInteractionRadius);
+                        repulsion += normalize(away + vec3(1e-5)) * pointerInfluence *
+                            ((uInteractionRadius - pointerDistance) / uInteractionRadius) * uInteractionStrength;
+                        influence = max(influence, pointerInfluence);
+                    }
+                    morphed += repulsion;
+                    
+                    float particleScale = uScale * (1.0 + uWarp) * (1.0 + influence * 0.1);
+                    vec3 transformed = position * particleScale + morphed;
+                    
+                    vInstanceEmissive = mix(uEmissiveBase + uWarp * 0.3, 0.5, influence);`
+                );
+            
+            shader.fragmentShader = shader.fragmentShader
+                .replace(
+                    '#include <common>',
+                    '#include <common>\nvarying float vInstanceEmissive;'
+                )
+                .replace(
+                    'vec3 totalEmissiveRadiance = emissive;',
+                    // Glow takes on each particle's colour
+                    `vec3 totalEmissiveRadiance = emissive * vInstanceEmissive;
+                    #ifdef USE_COLOR
+                        totalEmissiveRadiance *= vColor;
+                    #endif`
+                );
+        };
+    }
+    
+    /**
+     * Upload sphere and scatter targets from the particle proxies
+     */
+    setTargets(particles) {
+        particles.forEach((particle, index) => {
+            const userData = particle.userData;
+            this.originalAttribute.setXYZ(index, userData.originalPosition.x, userData.originalPosition.y, userData.originalPosition.z);
+            this.scatteredAttribute.setXYZ(index, userData.scatteredPosition.x, userData.scatteredPosition.y, userData.scatteredPosition.z);
+            this.shapeFromAttribute.setXYZ(index, userData.shapePosition.x, userData.shapePosition.y, userData.shapePosition.z);
+            this.shapeToAttribute.setXYZ(index, userData.shapePosition.x, userData.shapePosition.y, userData.shapePosition.z);
+        });
+        
+        this.originalAttribute.needsUpdate = true;
+        this.scatteredAttribute.needsUpdate = true;
+        this.shapeFromAttribute.needsUpdate = true;
+        this.shapeToAttribute.needsUpdate = true;
+    }
+    
+    /**
+     * Upload a new shape target; the shape currently on screen becomes the blend source
+     * When no shape is showing yet, the new shape is used as both ends of the blend
+     */
+    setShapeTargets(positions, shapeRotation) {
+        const fromCurrentShape = this.uniforms.uShapeWeight.value > 0.5;
+        const progress = this.uniforms.uShapeProgress.value;
+        const cos = Math.cos(this.uniforms.uShapeRotation.value);
+        const sin = Math.sin(this.uniforms.uShapeRotation.value);
+        const from = this.shapeFromAttribute;
+        const to = this.shapeToAttribute;
+        
+        for (let i = 0; i < this.count; i++) {
+            if (fromCurrentShape) {
+                // Freeze the on-screen blend, including the current spin
+                const x = from.getX(i) + (to.getX(i) - from.getX(i)) * progress;
+                const y = from.getY(i) + (to.getY(i) - from.getY(i)) * progress;
+                const z = from.getZ(i) + (to.getZ(i) - from.getZ(i)) * progress;
+                from.setXYZ(i, x * cos - y * sin, x * sin + y * cos, z);
+            }
+            
+            const position = positions[i];
+            if (position) {
+                to.setXYZ(i, position.x, position.y, position.z);
+            }
+            
+            if (!fromCurrentShape) {
+                from.setXYZ(i, to.getX(i), to.getY(i), to.getZ(i));
+            }
+        }
+        
+        // Spin restarts from the new shape's rest pose
+        this.rotationOffset = shapeRotation;
+        this.uniforms.uShapeRotation.value = 0;
+        this.uniforms.uShapeProgress.value = fromCurrentShape ? 0 : 1;
+        from.needsUpdate = true;
+        to.needsUpdate = true;
+    }
+    
+    /**
+     * Ease the morph uniforms toward the visualizer state by state.blend, the same
+     * step-scaled lerp factor the CPU path uses, so both modes move alike
+     * Returns the largest blend (0..1) still to cover, for settle detection
+     */
+    updateMorph(state) {
+        const uniforms = this.uniforms;
+        const blend = state.blend;
+        
+        uniforms.uScatter.value += (state.scatterValue - uniforms.uScatter.value) * blend;
+        uniforms.uCluster.value += (state.clusterValue - uniforms.uCluster.value) * blend;
+        uniforms.uShapeWeight.value += (state.shapeWeight - uniforms.uShapeWeight.value) * blend;
+        uniforms.uShapeProgress.value += (1 - uniforms.uShapeProgress.value) * blend;
+        
+        uniforms.uShapeRotation.value = state.shapeRotation - this.rotationOffset;
+        uniforms.uTime.value = state.time;
+        uniforms.uBreathe.value = state.stateModulation.breathe;
+        uniforms.uAttention.value = state.stateModulation.attention;
+        uniforms.uSwirl.value = state.stateModulation.swirl;
+        uniforms.uSwirlPhase.value = state.stateModulation.swirlPhase;
+        uniforms.uPulse.value = state.stateModulation.pulse;
+        const pointerCount = Math.min(state.pointerPositions.length, GpuMorphRenderer.MAX_POINTERS);
+        for (let i = 0; i < pointerCount; i++) {
+            uniforms.uPointers.value[i].copy(state.pointerPositions[i]);
+        }
+        uniforms.uPointerCount.value = pointerCount;
+        uniforms.uInteractionRadius.value = state.interactionRadius;
+        uniforms.uInteractionStrength.value = state.interactionStrength;
+        uniforms.uEmissiveBase.value = state.emissiveIntensity;
+        uniforms.uScale.value = state.scale;
+        uniforms.uWarp.value = state.warp;
+        
+        return Math.max(
+            Math.abs(state.scatterValue - uniforms.uScatter.value),
+            Math.abs(state.clusterValue - uniforms.uCluster.value),
+            Math.abs(state.shapeWeight - uniforms.uShapeWeight.value),
+            1 - uniforms.uShapeProgress.value
+        );
+    }
+}
+
+/**
+ * Simultaneous pointers the shader repels from; extra pointers are ignored in GPU mode
+ */
+GpuMorphRenderer.MAX_POINTERS = 4;
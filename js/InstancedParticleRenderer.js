@@ -0,0 +1,123 @@
+/**
+ * InstancedParticleRenderer - Draws the whole particle system with a single THREE.InstancedMesh
+ * Per-instance matrices carry position/scale, per-instance attributes carry colour and emissive boost
+ */
+class InstancedParticleRenderer {
+    constructor(geometry, material, count) {
+        this.count = count;
+        this.geometry = geometry;
+        this.material = material;
+        
+        // Per-instance emissive intensity, multiplied into the shared emissive colour
+        this.emissiveAttribute = new THREE.InstancedBufferAttribute(new Float32Array(count), 1);
+        this.emissiveAttribute.setUsage(THREE.DynamicDrawUsage);
+        this.geometry.setAttribute('instanceEmissive', this.emissiveAttribute);
+        
+        // The shared material carries the base emissive colour; intensity lives per instance
+        this.material.emissiveIntensity = 1.0;
+        this.patchMaterial(this.material);
+        
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, count);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        
+        // Instances spread far beyond the base geometry bounds
+        this.mesh.frustumCulled = false;
+    }
+    
+    /**
+     * Inject the per-instance emissive attribute into the physical material shaders
+     */
+    patchMaterial(material) {
+        material.onBeforeCompile = (shader) => {
+            shader.vertexShader = shader.vertexShader
+                .replace(
+                    '#include <common>',
+                    '#include <common>\nattribute float instanceEmissive;\nvarying float vInstanceEmissive;'
+                )
+                .replace(
+                    '#include <begin_vertex>',
+                    '#include <begin_vertex>\nvInstanceEmissive = instanceEmissive;'
+                );
+            
+            shader.fragmentShader = shader.fragmentShader
+                .replace(
+                    '#include <common>',
+                    '#include <common>\nvarying float vInstanceEmissive;'
+                )
+                .replace(
+                    'vec3 totalEmissiveRadiance = emissive;',
+                    // Glow takes on each particle's colour
+                    `vec3 totalEmissiveRadiance = emissive * vInstanceEmissive;
+                    #ifdef USE_COLOR
+                        totalEmissiveRadiance *= vColor;
+                    #endif`
+                );
+        };
+    }
+    
+    /**
+     * Create a lightweight particle proxy for the given instance
+     * Proxies expose the same position/scale/material fields as a particle mesh,
+     * so updateParticles() can drive both render paths unchanged
+     */
+    createProxy(index, baseMaterial) {
+        const proxy = new THREE.Object3D();
+        proxy.matrixAutoUpdate = false;
+        proxy.material = {
+            color: new THREE.Color(baseMaterial.color),
+            emissiveIntensity: baseMaterial.emissiveIntensity,
+            metalness: baseMaterial.metalness,
+            roughness: baseMaterial.roughness,
+            clearcoat: baseMaterial.clearcoat,
+            ior: baseMaterial.ior,
+            opacity: 0.95
+        };
+        
+        this.mesh.setColorAt(index, proxy.material.color);
+        this.emissiveAttribute.setX(index, proxy.material.emissiveIntensity);
+        return proxy;
+    }
+    
+    /**
+     * Copy proxy transforms, colours and emissive values into the instance buffers
+     */
+    update(particles) {
+        const count = Math.min(particles.length, this.count);
+        
+        for (let i = 0; i < count; i++) {
+            const particle = particles[i];
+            particle.updateMatrix();
+            this.mesh.setMatrixAt(i, particle.matrix);
+            this.mesh.setColorAt(i, particle.material.color);
+            this.emissiveAttribute.setX(i, particle.material.emissiveIntensity);
+        }
+        
+        this.mesh.count = count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+        this.emissiveAttribute.needsUpdate = true;
+    }
+    
+    /**
+     * Update the shared material from the visualizer's material properties
+     */
+    updateMaterialProperties(properties) {
+        this.material.metalness = properties.metalness;
+        this.material.roughness = properties.roughness;
+        this.material.clearcoat = properties.clearcoat;
+        this.material.ior = properties.ior;
+    }
+    
+    /**
+     * Remove the mesh from the scene graph and release GPU resources
+     */
+    dispose() {
+        if (this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
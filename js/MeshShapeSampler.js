@@ -0,0 +1,348 @@
+/**
+ * MeshShapeSampler - Turns 3D models (OBJ/glTF) into particle morph targets
+ * Triangles are gathered in world space, normalised to a unit bounding sphere,
+ * then sampled by area across the surface or, optionally, through the volume
+ */
+class MeshShapeSampler {
+    /**
+     * Load a model from a URL or File, or accept an already loaded THREE.Object3D
+     * Needs THREE.OBJLoader / THREE.GLTFLoader; the format comes from the file
+     * extension or options.format ('obj', 'gltf' or 'glb'). Files must be OBJ or .glb:
+     * a .gltf File can't resolve the external buffers and textures it points to
+     */
+    static async loadModel(source, options = {}) {
+        if (source instanceof THREE.Object3D) {
+            return source;
+        }
+        
+        let url = source;
+        let objectUrl = null;
+        let name = typeof source === 'string' ? source : '';
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            objectUrl = URL.createObjectURL(source);
+            url = objectUrl;
+            name = source.name || '';
+        }
+        
+        const format = (options.format || name.split('?')[0].split('.').pop() || '').toLowerCase();
+        if (objectUrl && format === 'gltf') {
+            URL.revokeObjectURL(objectUrl);
+            throw new Error('A .gltf file can\'t load its external buffers from a File; export it as .glb or load it from a URL');
+        }
+        
+        try {
+            if (format === 'obj') {
+                if (!THREE.OBJLoader) {
+                    throw new Error('THREE.OBJLoader is not loaded');
+                }
+                return await new THREE.OBJLoader().loadAsync(url);
+            }
+            if (format === 'gltf' || format === 'glb') {
+                if (!THREE.GLTFLoader) {
+                    throw new Error('THREE.GLTFLoader is not loaded');
+                }
+                const gltf = await new THREE.GLTFLoader().loadAsync(url);
+                return gltf.scene;
+            }
+            throw new Error(`Unsupported model format "${format}"; use OBJ or glTF`);
+        } finally {
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        }
+    }
+    
+    /**
+     * Gather every mesh triangle in world space, normalised so the model's
+     * bounding sphere is centred on the origin with radius 1
+     * Returns a flat Float32Array of 9 numbers per triangle
+     */
+    static collectTriangles(object) {
+        object.updateMatrixWorld(true);
+        
+        const vertices = [];
+        const vertex = new THREE.Vector3();
+        object.traverse(child => {
+            if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) {
+                return;
+            }
+            
+            const position = child.geometry.attributes.position;
+            const index = child.geometry.index;
+            const vertexCount = index ? index.count : position.count;
+            for (let i = 0; i < vertexCount - 2; i += 3) {
+                for (let corner = 0; corner < 3; corner++) {
+                    const vertexIndex = index ? index.getX(i + corner) : i + corner;
+                    vertex.fromBufferAttribute(position, vertexIndex).applyMatrix4(child.matrixWorld);
+                    vertices.push(vertex.x, vertex.y, vertex.z);
+                }
+            }
+        });
+        
+        if (vertices.length === 0) {
+            throw new Error('Model contains no mesh triangles');
+        }
+        
+        const triangles = new Float32Array(vertices);
+        const box = new THREE.Box3().setFromArray(triangles);
+        const center = box.getCenter(new THREE.Vector3());
+        let radius = 0;
+        for (let i = 0; i < triangles.length; i += 3) {
+            triangles[i] -= center.x;
+            triangles[i + 1] -= center.y;
+            triangles[i + 2] -= center.z;
+            radius = Math.max(radius, Math.hypot(triangles[i], triangles[i + 1], triangles[i + 2]));
+        }
+        
+        const scale = radius > 0 ? 1 / radius : 1;
+        for (let i = 0; i < triangles.length; i++) {
+            triangles[i] *= scale;
+        }
+        return triangles;
+    }
+    
+    /**
+     * Sample count points uniformly by area across the triangle surfaces
+     */
+    static sampleSurface(triangles, count, random = Math.random) {
+        const triangleCount = triangles.length / 9;
+        const cumulative = new Float64Array(triangleCount);
+        let totalArea = 0;
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        
+        for (let t = 0; t < triangleCount; t++) {
+            a.fromArray(triangles, t * 9);
+            b.fromArray(triangles, t * 9 + 3);
+            c.fromArray(triangles, t * 9 + 6);
+            totalArea += b.sub(a).cross(c.sub(a)).length() / 2;
+            cumulative[t] = totalArea;
+        }
+        
+        if (totalArea === 0) {
+            throw new Error('Model surface has zero area');
+        }
+        
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            // Pick a triangle by area, then a uniform point inside it
+            const target = random() * totalArea;
+            let low = 0;
+            let high = triangleCount - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cumulative[mid] <= target) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            
+            let u = random();
+            let v = random();
+            if (u + v > 1) {
+                u = 1 - u;
+                v = 1 - v;
+            }
+            const w = 1 - u - v;
+            const offset = low * 9;
+            for (let axis = 0; axis < 3; axis++) {
+                positions[i * 3 + axis] =
+                    triangles[offset + axis] * w +
+                    triangles[offset + 3 + axis] * u +
+                    triangles[offset + 6 + axis] * v;
+            }
+        }
+        return positions;
+    }
+    
+    /**
+     * Sample count points inside a closed model by rejection sampling its bounding box
+     * A point is inside when a ray from it crosses the surface an odd number of times;
+     * rays only test the triangles in their grid cell, and the work stops at MAX_VOLUME_TESTS
+     * triangle tests. Falls back to surface points if the model is open, too thin to hit
+     * or the budget runs out. Pass a grid from createGrid() to reuse it between calls
+     */
+    static sampleVolume(triangles, count, maxAttempts = count * 50, random = Math.random, grid = MeshShapeSampler.createGrid(triangles)) {
+        const box = new THREE.Box3().setFromArray(triangles);
+        const size = box.getSize(new THREE.Vector3());
+        const positions = new Float32Array(count * 3);
+        const point = new THREE.Vector3();
+        let found = 0;
+        let tests = 0;
+        
+        for (let attempt = 0; attempt < maxAttempts && found < count && tests < MeshShapeSampler.MAX_VOLUME_TESTS; attempt++) {
+            point.set(
+                box.min.x + random() * size.x,
+                box.min.y + random() * size.y,
+                box.min.z + random() * size.z
+            );
+            const cell = MeshShapeSampler.getGridCell(grid, point);
+            tests += cell.length;
+            if (MeshShapeSampler.isInside(triangles, point, cell)) {
+                point.toArray(positions, found * 3);
+                found++;
+            }
+        }
+        
+        if (found < count) {
+            console.warn(`Volume sampling found ${found}/${count} interior points; filling with surface points`);
+            positions.set(MeshShapeSampler.sampleSurface(triangles, count - found, random), found * 3);
+        }
+        return positions;
+    }
+    
+    /**
+     * Bin triangles by their y/z bounds, so a +X ray only meets the triangles of one cell
+     * Returns { minY, minZ, cellSize, resolution, cells: arrays of triangle offsets }
+     */
+    static createGrid(triangles) {
+        const triangleCount = triangles.length / 9;
+        const resolution = Math.max(1, Math.min(MeshShapeSampler.MAX_GRID_RESOLUTION, Math.ceil(Math.sqrt(triangleCount))));
+        let minY = Infinity;
+        let minZ = Infinity;
+        let maxY = -Infinity;
+        let maxZ = -Infinity;
+        for (let i = 0; i < triangles.length; i += 3) {
+            minY = Math.min(minY, triangles[i + 1]);
+            maxY = Math.max(maxY, triangles[i + 1]);
+            minZ = Math.min(minZ, triangles[i + 2]);
+            maxZ = Math.max(maxZ, triangles[i + 2]);
+        }
+        const cellSize = Math.max(maxY - minY, maxZ - minZ, 1e-9) / resolution;
+        const cells = Array.from({ length: resolution * resolution }, () => []);
+        const toCell = value => Math.max(0, Math.min(resolution - 1, Math.floor(value / cellSize)));
+        
+        for (let t = 0; t < triangles.length; t += 9) {
+            const y0 = toCell(Math.min(triangles[t + 1], triangles[t + 4], triangles[t + 7]) - minY);
+            const y1 = toCell(Math.max(triangles[t + 1], triangles[t + 4], triangles[t + 7]) - minY);
+            const z0 = toCell(Math.min(triangles[t + 2], triangles[t + 5], triangles[t + 8]) - minZ);
+            const z1 = toCell(Math.max(triangles[t + 2], triangles[t + 5], triangles[t + 8]) - minZ);
+            for (let y = y0; y <= y1; y++) {
+                for (let z = z0; z <= z1; z++) {
+                    cells[y * resolution + z].push(t);
+                }
+            }
+        }
+        return { minY, minZ, cellSize, resolution, cells };
+    }
+    
+    /**
+     * Offsets of the triangles a +X ray from point may cross
+     */
+    static getGridCell(grid, point) {
+        const y = Math.floor((point.y - grid.minY) / grid.cellSize);
+        const z = Math.floor((point.z - grid.minZ) / grid.cellSize);
+        if (y < 0 || z < 0 || y >= grid.resolution || z >= grid.resolution) {
+            return [];
+        }
+        return grid.cells[y * grid.resolution + z];
+    }
+    
+    /**
+     * Odd-even test along +X using Moller-Trumbore ray/triangle intersection
+     * offsets limits the test to some triangles (e.g. a grid cell); default all
+     */
+    static isInside(triangles, point, offsets = null) {
+        let crossings = 0;
+        const testCount = offsets ? offsets.length : triangles.length / 9;
+        for (let i = 0; i < testCount; i++) {
+            const t = offsets ? offsets[i] : i * 9;
+            const e1y = triangles[t + 4] - triangles[t + 1];
+            const e1z = triangles[t + 5] - triangles[t + 2];
+            const e2y = triangles[t + 7] - triangles[t + 1];
+            const e2z = triangles[t + 8] - triangles[t + 2];
+            const e1x = triangles[t + 3] - triangles[t];
+            const e2x = triangles[t + 6] - triangles[t];
+            
+            // Ray direction is (1, 0, 0): p = dir x e2 = (0, -e2z, e2y)
+            const det = -e1y * e2z + e1z * e2y;
+            if (Math.abs(det) < 1e-12) {
+                continue;
+            }
+            const inv = 1 / det;
+            const sx = point.x - triangles[t];
+            const sy = point.y - triangles[t + 1];
+            const sz = point.z - triangles[t + 2];
+            
+            const u = (-sy * e2z + sz * e2y) * inv;
+            if (u < 0 || u > 1) {
+                continue;
+            }
+            // q = s x e1
+            const qx = sy * e1z - sz * e1y;
+            const qy = sz * e1x - sx * e1z;
+            const qz = sx * e1y - sy * e1x;
+            const v = qx * inv;
+            if (v < 0 || u + v > 1) {
+                continue;
+            }
+            const distance = (e2x * qx + e2y * qy + e2z * qz) * inv;
+            if (distance > 0) {
+                crossings++;
+            }
+        }
+        return crossings % 2 === 1;
+    }
+    
+    /**
+     * Generator for pre-collected triangles
+     * Options: radius (defaults to the visualizer's sphereRadius), volume (true or 0..1 share of interior points)
+     * Seeded layouts are cached per count, seed, radius and volume share, so rebuilding the
+     * particles (count, outline, reseed or quality changes) doesn't sample the model again
+     */
+    static meshShape(triangles, defaults = {}) {
+        const cache = new Map();
+        let grid = null;
+        
+        return (count, options = {}) => {
+            const settings = { ...defaults, ...options };
+            const random = SeededRandom.fromOptions(settings);
+            const radius = settings.radius || settings.sphereRadius || 1;
+            const volumeShare = settings.volume === true ? 1 : Math.max(0, Math.min(1, settings.volume || 0));
+            const volumeCount = Math.round(count * volumeShare);
+            
+            const key = settings.seed !== undefined ? `${count}:${settings.seed}:${radius}:${volumeShare}` : null;
+            if (key !== null && cache.has(key)) {
+                return cache.get(key).slice();
+            }
+            
+            const positions = new Float32Array(count * 3);
+            if (volumeCount > 0) {
+                if (!grid) {
+                    grid = MeshShapeSampler.createGrid(triangles);
+                }
+                positions.set(MeshShapeSampler.sampleVolume(triangles, volumeCount, volumeCount * 50, random, grid));
+            }
+            if (volumeCount < count) {
+                positions.set(MeshShapeSampler.sampleSurface(triangles, count - volumeCount, random), volumeCount * 3);
+            }
+            
+            for (let i = 0; i < positions.length; i++) {
+                positions[i] *= radius;
+            }
+            
+            if (key !== null) {
+                // Keep the most recent layouts only
+                if (cache.size >= MeshShapeSampler.CACHE_SIZE) {
+                    cache.delete(cache.keys().next().value);
+                }
+                cache.set(key, positions.slice());
+            }
+            return positions;
+        };
+    }
+}
+
+/**
+ * Volume sampling limits: grid cells per side for the inside test, and the most
+ * ray/triangle tests one sampleVolume() call may run before filling with surface points
+ */
+MeshShapeSampler.MAX_GRID_RESOLUTION = 128;
+MeshShapeSampler.MAX_VOLUME_TESTS = 20000000;
+
+/**
+ * Seeded layouts kept per model shape
+ */
+MeshShapeSampler.CACHE_SIZE = 8;
@@ -0,0 +1,136 @@
+/**
+ * MotionBlurPass - Accumulation-buffer motion blur
+ * The scene is rendered into a target and combined with the previous accumulated frame,
+ * keeping the brighter of the new pixel and the old one faded by persistence (0..1),
+ * so moving particles leave smeared afterimages. With persistence 0 the scene is drawn directly,
+ * unless an output target is given (PostProcessing reads the scene from one)
+ */
+class MotionBlurPass {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.sceneTarget = null;
+        this.readTarget = null;
+        this.writeTarget = null;
+        this.hasHistory = false;
+        this.size = new THREE.Vector2();
+        
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                tCurrent: { value: null },
+                tPrevious: { value: null },
+                uPersistence: { value: 0 }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D tCurrent;
+                uniform sampler2D tPrevious;
+                uniform float uPersistence;
+                varying vec2 vUv;
+                void main() {
+                    vec4 current = texture2D(tCurrent, vUv);
+                    vec4 previous = texture2D(tPrevious, vUv) * uPersistence;
+                    // Encodes to sRGB only when drawing to the canvas; render targets stay linear
+                    gl_FragColor = linearToOutputTexel(max(current, previous));
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+        
+        // Full-screen quad; the vertex shader ignores the camera
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+    
+    /**
+     * Render the scene with persistence (0..1) of the accumulated previous frames,
+     * to the canvas or to outputTarget
+     */
+    render(scene, camera, persistence, outputTarget = null) {
+        if (persistence <= 0) {
+            // Drop the history so blur restarts cleanly next time
+            this.hasHistory = false;
+            if (!outputTarget) {
+                this.renderer.render(scene, camera);
+                return;
+            }
+        }
+        this.updateTargets();
+        
+        const renderer = this.renderer;
+        const uniforms = this.material.uniforms;
+        renderer.setRenderTarget(this.sceneTarget);
+        renderer.render(scene, camera);
+        
+        // Accumulate: write = max(scene, read * persistence)
+        uniforms.tCurrent.value = this.sceneTarget.texture;
+        uniforms.tPrevious.value = this.readTarget.texture;
+        uniforms.uPersistence.value = this.hasHistory ? Math.min(persistence, MotionBlurPass.MAX_PERSISTENCE) : 0;
+        renderer.setRenderTarget(this.writeTarget);
+        renderer.render(this.quadScene, this.quadCamera);
+        
+        // Copy the accumulation to the canvas or output target
+        uniforms.tCurrent.value = this.writeTarget.texture;
+        uniforms.uPersistence.value = 0;
+        renderer.setRenderTarget(outputTarget);
+        renderer.render(this.quadScene, this.quadCamera);
+        
+        const target = this.readTarget;
+        this.readTarget = this.writeTarget;
+        this.writeTarget = target;
+        this.hasHistory = persistence > 0;
+    }
+    
+    /**
+     * Create or resize the render targets to match the drawing buffer
+     */
+    updateTargets() {
+        this.renderer.getDrawingBufferSize(this.size);
+        if (this.sceneTarget && this.sceneTarget.width === this.size.x && this.sceneTarget.height === this.size.y) {
+            return;
+        }
+        
+        if (!this.sceneTarget) {
+            // The scene target keeps antialiasing where multisampled targets exist (WebGL2)
+            const SceneTarget = this.renderer.capabilities.isWebGL2 ? THREE.WebGLMultisampleRenderTarget : THREE.WebGLRenderTarget;
+            this.sceneTarget = new SceneTarget(this.size.x, this.size.y);
+            this.readTarget = new THREE.WebGLRenderTarget(this.size.x, this.size.y, { depthBuffer: false });
+            this.writeTarget = new THREE.WebGLRenderTarget(this.size.x, this.size.y, { depthBuffer: false });
+        } else {
+            this.sceneTarget.setSize(this.size.x, this.size.y);
+            this.readTarget.setSize(this.size.x, this.size.y);
+            this.writeTarget.setSize(this.size.x, this.size.y);
+        }
+        this.hasHistory = false;
+    }
+    
+    /**
+     * Release render targets and the quad
+     */
+    dispose() {
+        [this.sceneTarget, this.readTarget, this.writeTarget].forEach(target => {
+            if (target) {
+                target.dispose();
+            }
+        });
+        this.sceneTarget = null;
+        this.readTarget = null;
+        this.writeTarget = null;
+        this.quad.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+/**
+ * Upper bound on persistence so accumulated trails always fade out
+ */
+MotionBlurPass.MAX_PERSISTENCE = 0.96;
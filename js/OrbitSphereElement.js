@@ -0,0 +1,285 @@
+/**
+ * OrbitSphereElement - <orbit-sphere> custom element wrapping AdvancedParticleSphere
+ * Owns its own canvas inside a shadow root and maps attributes onto the visualizer's setters:
+ *   <orbit-sphere particle-count="800" shape="ring" scatter="0.3"></orbit-sphere>
+ * Re-dispatches the visualizer's events (see FORWARDED_EVENTS) as bubbling DOM events,
+ * plus 'assistantstatechange' and 'error' for attribute changes
+ */
+class OrbitSphereElement extends HTMLElement {
+    constructor() {
+        super();
+        this.visualizer = null;
+        
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+            <style>
+                :host { display: block; position: relative; overflow: hidden; width: 100%; height: 100%; }
+                .container { position: absolute; inset: 0; }
+            </style>
+            <div class="container"></div>
+        `;
+        this.container = shadow.querySelector('.container');
+    }
+    
+    static get observedAttributes() {
+        return Object.keys(OrbitSphereElement.ATTRIBUTES);
+    }
+    
+    connectedCallback() {
+        if (this.visualizer) {
+            return;
+        }
+        
+        // Attributes that shape the particles are passed to the constructor, so they are built once
+        try {
+            this.visualizer = new AdvancedParticleSphere(this.container, {
+                renderMode: this.getAttribute('render-mode') || 'instanced',
+                seed: this.hasAttribute('seed') ? this.getAttribute('seed') : undefined,
+                ...this.readInitialOptions()
+            });
+        } catch (error) {
+            console.warn('<orbit-sphere> could not start:', error.message);
+            this.container.innerHTML = '';
+            this.emit('error', { error });
+            return;
+        }
+        OrbitSphereElement.FORWARDED_EVENTS.forEach(type => {
+            this.visualizer.on(type, detail => this.emit(type, detail));
+        });
+        
+        OrbitSphereElement.observedAttributes
+            .filter(name => !OrbitSphereElement.CONSTRUCTOR_ATTRIBUTES.includes(name) && this.hasAttribute(name))
+            .forEach(name => this.applyAttribute(name, this.getAttribute(name)));
+    }
+    
+    /**
+     * Particle count, size and shape options from the attributes; bad values are reported
+     * like attribute changes and left to the visualizer's defaults
+     */
+    readInitialOptions() {
+        const read = (name, parse) => {
+            const value = this.getAttribute(name);
+            if (value === null) {
+                return undefined;
+            }
+            try {
+                return parse(value);
+            } catch (error) {
+                console.warn(`<orbit-sphere> could not apply ${name}="${value}":`, error.message);
+                this.emit('error', { attribute: name, value, error });
+                return undefined;
+            }
+        };
+        
+        return {
+            particleCount: read('particle-count', OrbitSphereElement.toNumber),
+            particleSize: read('particle-size', OrbitSphereElement.toNumber),
+            shape: read('shape', shape => {
+                if (shape !== 'sphere' && !ShapeRegistry.global.has(shape)) {
+                    throw new Error(`Unknown shape "${shape}". Registered shapes: ${ShapeRegistry.global.list().join(', ')}`);
+                }
+                return shape;
+            }),
+            shapeOptions: read('shape-options', value => JSON.parse(value))
+        };
+    }
+    
+    disconnectedCallback() {
+        if (this.visualizer) {
+            this.visualizer.dispose();
+            this.visualizer = null;
+            this.container.innerHTML = '';
+        }
+    }
+    
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Before connection, attributes are applied in bulk by connectedCallback
+        if (this.visualizer && oldValue !== newValue) {
+            this.applyAttribute(name, newValue);
+        }
+    }
+    
+    /**
+     * Forward one attribute to the visualizer; bad values are reported, not thrown
+     */
+    applyAttribute(name, value) {
+        const apply = OrbitSphereElement.ATTRIBUTES[name];
+        try {
+            apply(this, value);
+        } catch (error) {
+            console.warn(`<orbit-sphere> could not apply ${name}="${value}":`, error.message);
+            this.emit('error', { attribute: name, value, error });
+        }
+    }
+    
+    /**
+     * Morph to a shape, re-reading shape-options so either attribute can change first
+     */
+    applyShape() {
+        const shape = this.getAttribute('shape') || 'sphere';
+        const optionsAttribute = this.getAttribute('shape-options');
+        const options = optionsAttribute ? JSON.parse(optionsAttribute) : {};
+        this.visualizer.morphToShape(shape, options);
+    }
+    
+    /**
+     * Dispatch a CustomEvent that crosses shadow boundaries
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+    
+    /**
+     * Parse a numeric attribute, rejecting anything that isn't a finite number
+     */
+    static toNumber(value) {
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+            throw new Error(`"${value}" is not a number`);
+        }
+        return number;
+    }
+    
+    /**
+     * Boolean attributes follow HTML rules: present means true, except an explicit "false"
+     */
+    static toBoolean(value) {
+        return value !== null && value !== 'false';
+    }
+}
+
+/**
+ * Visualizer events re-dispatched from the element
+ */
+OrbitSphereElement.FORWARDED_EVENTS = [
+    'ready',
+    'shapechange',
+    'morphstart',
+    'morphcomplete',
+    'interactionstart',
+    'interactionend',
+    'pinch',
+    'longpress',
+    'tap',
+    'resize',
+    'qualitychange',
+    'error',
+    'dispose'
+];
+
+/**
+ * Attributes read once as constructor options by connectedCallback, rather than applied afterwards
+ */
+OrbitSphereElement.CONSTRUCTOR_ATTRIBUTES = ['render-mode', 'seed', 'particle-count', 'particle-size', 'shape', 'shape-options'];
+
+/**
+ * Attribute name -> how it is applied; removing an attribute leaves the current value
+ * unless the attribute is boolean or selects a shape
+ */
+OrbitSphereElement.ATTRIBUTES = {
+    'particle-count': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setParticleCount(Math.max(1, Math.round(OrbitSphereElement.toNumber(value))));
+        }
+    },
+    'particle-size': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setParticleSize(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'render-mode': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setRenderMode(value);
+        }
+    },
+    'seed': (element, value) => {
+        if (value !== null) {
+            element.visualizer.reseed(value);
+        }
+    },
+    'scatter': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setScatterValue(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'cluster': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setClusterValue(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'rotation-speed': (element, value) => {
+        if (value !== null) {
+            element.visualizer.rotationSpeed = OrbitSphereElement.toNumber(value);
+        }
+    },
+    'shape': element => element.applyShape(),
+    'shape-options': element => element.applyShape(),
+    'color-mode': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setColorMode({ mode: value });
+        }
+    },
+    'color-mapping': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setColorMode({ mapping: value });
+        }
+    },
+    'palette': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setPalette(value);
+        }
+    },
+    'outline': (element, value) => element.visualizer.setOutlineMode(OrbitSphereElement.toBoolean(value)),
+    'physics': (element, value) => element.visualizer.setPhysics({ enabled: OrbitSphereElement.toBoolean(value) }),
+    'stiffness': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setPhysics({ stiffness: OrbitSphereElement.toNumber(value) });
+        }
+    },
+    'damping': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setPhysics({ damping: OrbitSphereElement.toNumber(value) });
+        }
+    },
+    'interaction-radius': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setInteractionRadius(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'interaction-strength': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setInteractionStrength(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'streak-length': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setStreakLength(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'streak-intensity': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setStreakIntensity(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'motion-blur': (element, value) => {
+        if (value !== null) {
+            element.visualizer.setMotionBlur(OrbitSphereElement.toNumber(value));
+        }
+    },
+    'post-processing': (element, value) => element.visualizer.setPostProcessingEnabled(OrbitSphereElement.toBoolean(value)),
+    'adaptive-quality': (element, value) => element.visualizer.setAdaptiveQuality(OrbitSphereElement.toBoolean(value)),
+    'emissive-intensity': (element, value) => {
+        if (value !== null) {
+            element.visualizer.updateMaterialProperties({ emissiveIntensity: OrbitSphereElement.toNumber(value) });
+        }
+    },
+    'assistant-state': (element, value) => {
+        if (element.visualizer.setAssistantState(value || 'idle')) {
+            element.emit('assistantstatechange', { state: value || 'idle' });
+        }
+    }
+};
+
+if (typeof customElements !== 'undefined' && !customElements.get('orbit-sphere')) {
+    customElements.define('orbit-sphere', OrbitSphereElement);
+}
@@ -0,0 +1,156 @@
+/**
+ * ParticleColorizer - Per-particle colour from a mode and a gradient of colour stops
+ * Modes map each particle to a position t (0..1) along the gradient:
+ *   solid       - always the first colour
+ *   gradient    - by position: along an axis, by radius, or by latitude on the sphere
+ *   speed       - by how fast the particle moves (slow = first colour, fast = last)
+ *   interaction - by how strongly pointers repel it
+ * Colours ease toward their targets, so switching mode or palette cross-fades over `transition` seconds
+ */
+class ParticleColorizer {
+    constructor(sphere, settings = {}) {
+        this.sphere = sphere;
+        this.settings = { ...ParticleColorizer.DEFAULTS };
+        this.stops = [];
+        this.axis = new THREE.Vector3(0, 1, 0);
+        this.target = new THREE.Color();
+        this.emissiveBase = new THREE.Color();
+        this.fade = 1;
+        this.lastTime = null;
+        
+        // Cleared once every particle has reached its colour; only the gpu path relies on it
+        this.isFading = true;
+        
+        this.set(settings);
+    }
+    
+    /**
+     * Merge new settings; a palette name replaces the colours, explicit colours clear the palette
+     */
+    set(settings) {
+        const next = { ...this.settings, ...settings };
+        if (settings.colors) {
+            next.palette = settings.palette || null;
+        } else if (settings.palette) {
+            const colors = ParticleColorizer.PALETTES[settings.palette];
+            if (!colors) {
+                throw new Error(`Unknown palette "${settings.palette}". Known palettes: ${Object.keys(ParticleColorizer.PALETTES).join(', ')}`);
+            }
+            next.colors = colors.slice();
+        }
+        if (!ParticleColorizer.MODES.includes(next.mode)) {
+            throw new Error(`Unknown colour mode "${next.mode}". Known modes: ${ParticleColorizer.MODES.join(', ')}`);
+        }
+        if (!ParticleColorizer.MAPPINGS.includes(next.mapping)) {
+            throw new Error(`Unknown colour mapping "${next.mapping}". Known mappings: ${ParticleColorizer.MAPPINGS.join(', ')}`);
+        }
+        if (!Array.isArray(next.colors) || next.colors.length === 0) {
+            throw new Error('Colour settings need at least one colour');
+        }
+        
+        this.settings = next;
+        this.stops = next.colors.map(color => new THREE.Color(color));
+        this.axis.set(next.axis.x || 0, next.axis.y || 0, next.axis.z || 0).normalize();
+        this.isFading = true;
+    }
+    
+    /**
+     * Per-frame setup: how far colours move toward their targets this frame
+     */
+    beginFrame(time) {
+        const delta = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+        
+        // Four time constants per transition gets within 2% of the target
+        const transition = this.settings.transition;
+        this.fade = transition > 0 ? 1 - Math.exp(-delta * 4 / transition) : 1;
+        this.emissiveBase.set(this.sphere.materialProperties.emissive);
+    }
+    
+    /**
+     * Gradient position (0..1) of a particle at position with the given speed (units per frame)
+     */
+    getGradientPosition(particle, position, speed) {
+        const settings = this.settings;
+        const sphere = this.sphere;
+        
+        switch (settings.mode) {
+            case 'solid':
+                return 0;
+            case 'speed':
+                return speed / settings.speedRange;
+            case 'interaction':
+                return particle.userData.interactionLevel || 0;
+            default:
+                break;
+        }
+        
+        if (settings.mapping === 'radius') {
+            // Resting sphere = first colour, fully scattered = last
+            return (position.length() - sphere.sphereRadius) / (sphere.scatterRadius - sphere.sphereRadius);
+        }
+        if (settings.mapping === 'latitude') {
+            const length = position.length();
+            const latitude = length > 0 ? Math.asin(Math.max(-1, Math.min(1, position.dot(this.axis) / length))) : 0;
+            return latitude / Math.PI + 0.5;
+        }
+        return (position.dot(this.axis) / sphere.sphereRadius + 1) / 2;
+    }
+    
+    /**
+     * Sample the gradient at t (clamped to 0..1) into out
+     */
+    sample(t, out) {
+        const stops = this.stops;
+        if (stops.length === 1) {
+            return out.copy(stops[0]);
+        }
+        
+        const scaled = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const index = Math.min(Math.floor(scaled), stops.length - 2);
+        return out.copy(stops[index]).lerp(stops[index + 1], scaled - index);
+    }
+    
+    /**
+     * Ease one particle's colour toward its target; returns how far it still had to go
+     * Mesh particles also get their emissive tinted, like the instanced shaders do
+     */
+    updateParticle(particle, position, speed) {
+        const color = particle.material.color;
+        this.sample(this.getGradientPosition(particle, position, speed), this.target);
+        const remaining = Math.abs(this.target.r - color.r) + Math.abs(this.target.g - color.g) + Math.abs(this.target.b - color.b);
+        color.lerp(this.target, this.fade);
+        
+        if (particle.material.emissive) {
+            particle.material.emissive.copy(this.emissiveBase).multiply(color);
+        }
+        return remaining;
+    }
+}
+
+/**
+ * Colour modes, gradient mappings and default settings
+ */
+ParticleColorizer.MODES = ['solid', 'gradient', 'speed', 'interaction'];
+ParticleColorizer.MAPPINGS = ['axis', 'radius', 'latitude'];
+ParticleColorizer.DEFAULTS = {
+    mode: 'solid',
+    palette: 'white',
+    colors: ['#ffffff'],
+    mapping: 'axis',
+    axis: { x: 0, y: 1, z: 0 },
+    speedRange: 0.3, // world units per 60 fps frame that map to the last colour
+    transition: 0.8 // seconds
+};
+
+/**
+ * Named colour stops, first to last
+ */
+ParticleColorizer.PALETTES = {
+    white: ['#ffffff'],
+    orb: ['#2563eb', '#7c3aed'],
+    aurora: ['#22d3ee', '#34d399', '#a78bfa'],
+    ember: ['#fde047', '#f97316', '#dc2626'],
+    ocean: ['#1e3a8a', '#0ea5e9', '#a5f3fc'],
+    sunset: ['#f472b6', '#fb923c', '#facc15']
+};
@@ -0,0 +1,257 @@
+/**
+ * ParticleSimulation - Renderer-free particle state on flat Float32Arrays [x0, y0, z0, x1, ...]
+ * Holds the sphere, scatter and shape layouts, blends them into per-particle targets, pushes
+ * targets away from pointers and eases positions toward them. It needs no DOM, WebGL or THREE,
+ * so it also runs under Node: const ParticleSimulation = require('./js/ParticleSimulation.js')
+ * AdvancedParticleSphere's CPU render modes step one every frame, adding physics, force fields
+ * and assistant looks to its targets, and copy its positions into the meshes or instances
+ */
+class ParticleSimulation {
+    constructor(count, options = {}) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Particle count must be a positive integer, got ${count}`);
+        }
+        this.count = count;
+        this.sphereRadius = options.sphereRadius || 6;
+        this.scatterRadius = options.scatterRadius || 20;
+        this.seed = options.seed !== undefined ? options.seed : ParticleSimulation.SeededRandom.randomSeed();
+        this.shapeRegistry = options.shapeRegistry || ParticleSimulation.ShapeRegistry.global;
+        
+        // Layouts: resting sphere, scattered cloud and the current shape ('sphere' = the resting sphere)
+        this.originalPositions = ParticleSimulation.generateSpherePositions(count, this.sphereRadius);
+        this.scatteredPositions = new Float32Array(count * 3);
+        this.shapePositions = this.originalPositions.slice();
+        this.shape = 'sphere';
+        this.shapeOptions = {};
+        
+        // Per-step results
+        this.targets = this.originalPositions.slice();
+        this.positions = this.originalPositions.slice();
+        this.interactionLevels = new Float32Array(count);
+        
+        this.generateScatter();
+    }
+    
+    /**
+     * Fill scatteredPositions from the seed's scatter stream
+     */
+    generateScatter() {
+        ParticleSimulation.generateScatterPositions(
+            this.count,
+            this.scatterRadius,
+            ParticleSimulation.SeededRandom.derive(this.seed, 'scatter').next,
+            this.scatteredPositions
+        );
+    }
+    
+    /**
+     * New scatter positions and shape layout from another seed; returns the seed
+     */
+    reseed(seed = ParticleSimulation.SeededRandom.randomSeed()) {
+        this.seed = seed;
+        this.generateScatter();
+        this.morphToShape(this.shape, this.shapeOptions);
+        return seed;
+    }
+    
+    /**
+     * Assign each particle its position in a registered shape, or the resting sphere for 'sphere'
+     * Layouts are seeded from the simulation's seed and the shape name unless options.seed is given;
+     * returns shapePositions
+     */
+    morphToShape(name, options = {}) {
+        if (name === 'sphere') {
+            this.shapePositions.set(this.originalPositions);
+            this.shape = 'sphere';
+            this.shapeOptions = {};
+            return this.shapePositions;
+        }
+        
+        this.shapePositions.set(this.shapeRegistry.generate(name, this.count, {
+            sphereRadius: this.sphereRadius,
+            seed: `${this.seed}:shape:${name}`,
+            ...options
+        }));
+        this.shape = name;
+        this.shapeOptions = options;
+        return this.shapePositions;
+    }
+    
+    /**
+     * Blend the layouts into targets: the shape (turned by shapeRotation radians about z) while
+     * one is set, otherwise halfway between the scatter blend and the cluster blend
+     */
+    updateTargets(scatterValue, clusterValue, shapeRotation = 0) {
+        const targets = this.targets;
+        
+        if (this.shape !== 'sphere') {
+            const shape = this.shapePositions;
+            const cos = Math.cos(shapeRotation);
+            const sin = Math.sin(shapeRotation);
+            for (let i = 0; i < targets.length; i += 3) {
+                targets[i] = shape[i] * cos - shape[i + 1] * sin;
+                targets[i + 1] = shape[i] * sin + shape[i + 1] * cos;
+                targets[i + 2] = shape[i + 2];
+            }
+            return targets;
+        }
+        
+        const original = this.originalPositions;
+        const scattered = this.scatteredPositions;
+        for (let i = 0; i < targets.length; i++) {
+            const scatterTarget = original[i] + (scattered[i] - original[i]) * scatterValue;
+            const clusterTarget = scattered[i] + (original[i] - scattered[i]) * clusterValue;
+            targets[i] = (scatterTarget + clusterTarget) / 2;
+        }
+        return targets;
+    }
+    
+    /**
+     * Push every target away from pointers near its particle and record interactionLevels
+     */
+    applyRepulsion(pointers, radius, strength) {
+        const positions = this.positions;
+        const targets = this.targets;
+        const position = { x: 0, y: 0, z: 0 };
+        const target = { x: 0, y: 0, z: 0 };
+        
+        for (let i = 0; i < this.count; i++) {
+            const offset = i * 3;
+            position.x = positions[offset];
+            position.y = positions[offset + 1];
+            position.z = positions[offset + 2];
+            target.x = targets[offset];
+            target.y = targets[offset + 1];
+            target.z = targets[offset + 2];
+            
+            this.interactionLevels[i] = ParticleSimulation.repel(position, target, pointers, radius, strength);
+            targets[offset] = target.x;
+            targets[offset + 1] = target.y;
+            targets[offset + 2] = target.z;
+        }
+        return this.interactionLevels;
+    }
+    
+    /**
+     * Move positions blend (0..1) of the way to their targets
+     */
+    easeToTargets(blend) {
+        const positions = this.positions;
+        const targets = this.targets;
+        for (let i = 0; i < positions.length; i++) {
+            positions[i] += (targets[i] - positions[i]) * blend;
+        }
+        return positions;
+    }
+    
+    /**
+     * Advance dt seconds: targets, pointer repulsion, then easing at the same rate the visualizer uses
+     * State: { scatterValue, clusterValue, shapeRotation, pointers: [{ x, y, z }], interactionRadius, interactionStrength }
+     */
+    step(dt, state = {}) {
+        const scatterValue = state.scatterValue || 0;
+        const clusterValue = state.clusterValue !== undefined ? state.clusterValue : 1;
+        const pointers = state.pointers || [];
+        
+        this.updateTargets(scatterValue, clusterValue, state.shapeRotation || 0);
+        if (pointers.length > 0) {
+            this.applyRepulsion(
+                pointers,
+                state.interactionRadius !== undefined ? state.interactionRadius : 2,
+                state.interactionStrength !== undefined ? state.interactionStrength : 0.5
+            );
+        } else {
+            this.interactionLevels.fill(0);
+        }
+        this.easeToTargets(ParticleSimulation.damp(ParticleSimulation.getEaseRate(scatterValue), dt));
+        return this;
+    }
+    
+    /**
+     * Evenly spread points on a sphere (a spiral from pole to pole)
+     */
+    static generateSpherePositions(count, radius) {
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const phi = Math.acos(-1 + (2 * i) / count);
+            const theta = Math.sqrt(count * Math.PI) * phi;
+            
+            positions[i * 3] = radius * Math.cos(theta) * Math.sin(phi);
+            positions[i * 3 + 1] = radius * Math.sin(theta) * Math.sin(phi);
+            positions[i * 3 + 2] = radius * Math.cos(phi);
+        }
+        return positions;
+    }
+    
+    /**
+     * Random points in a spherical shell from 0.2 to 1 times radius, drawn from random
+     */
+    static generateScatterPositions(count, radius, random = Math.random, out = new Float32Array(count * 3)) {
+        for (let i = 0; i < count; i++) {
+            const theta = random() * Math.PI * 2;
+            const phi = Math.acos(random() * 2 - 1);
+            const distance = radius * (0.2 + random() * 0.8); // Wider distribution
+            
+            out[i * 3] = distance * Math.sin(phi) * Math.cos(theta);
+            out[i * 3 + 1] = distance * Math.sin(phi) * Math.sin(theta);
+            out[i * 3 + 2] = distance * Math.cos(phi);
+        }
+        return out;
+    }
+    
+    /**
+     * Push target away from every pointer within radius of position, harder the closer it is
+     * Works on any {x, y, z} objects (THREE.Vector3 included); returns the strongest push (0..1)
+     */
+    static repel(position, target, pointers, radius, strength) {
+        let level = 0;
+        pointers.forEach(pointer => {
+            const dx = position.x - pointer.x;
+            const dy = position.y - pointer.y;
+            const dz = position.z - pointer.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance >= radius) {
+                return;
+            }
+            
+            const push = (radius - distance) / radius;
+            const scale = distance > 0 ? push * strength / distance : 0;
+            target.x += dx * scale;
+            target.y += dy * scale;
+            target.z += dz * scale;
+            level = Math.max(level, push);
+        });
+        return level;
+    }
+    
+    /**
+     * Per-frame easing rate toward targets: faster while scattering
+     */
+    static getEaseRate(scatterValue) {
+        return scatterValue > 0.5 ? 0.15 : 0.08;
+    }
+    
+    /**
+     * Lerp factor for a step of dt seconds that covers as much ground as factor does
+     * per frame at REFERENCE_FPS
+     */
+    static damp(factor, dt) {
+        return 1 - Math.pow(1 - factor, dt * ParticleSimulation.REFERENCE_FPS);
+    }
+}
+
+/**
+ * Frame rate the per-frame easing rates and speed thresholds were tuned at
+ */
+ParticleSimulation.REFERENCE_FPS = 60;
+
+/**
+ * Dependencies: the page's globals in browsers (loaded before this script), required under Node
+ */
+ParticleSimulation.SeededRandom = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./SeededRandom.js');
+ParticleSimulation.ShapeRegistry = typeof ShapeRegistry !== 'undefined' ? ShapeRegistry : require('./ShapeRegistry.js');
+
+// Node (tests, build scripts): export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParticleSimulation;
+}
@@ -0,0 +1,237 @@
+/**
+ * ParticleTimeline - Keyframed, seekable animation sequences for AdvancedParticleSphere
+ * Each keyframe eases from the previous keyframe's values to its own over its duration:
+ *   { duration: 1.2, easing: 'easeInOutCubic', scatterValue: 1, clusterValue: 0,
+ *     shape: 'text', shapeOptions: { text: 'Hello' }, rotationSpeed: 2,
+ *     material: { emissiveIntensity: 0.3 } }
+ * Shapes switch at the start of their keyframe; the particles' own easing carries the morph
+ */
+class ParticleTimeline {
+    constructor(sphere, keyframes = [], options = {}) {
+        // Catch misspelt shapes here rather than when playback reaches their keyframe
+        keyframes.forEach(keyframe => {
+            if (keyframe.shape !== undefined && keyframe.shape !== 'sphere' && !sphere.shapeRegistry.has(keyframe.shape)) {
+                throw new Error(`Unknown shape "${keyframe.shape}". Registered shapes: ${sphere.getShapeNames().join(', ')}`);
+            }
+        });
+        
+        this.sphere = sphere;
+        this.keyframes = keyframes.map(keyframe => ({
+            ...keyframe,
+            duration: Math.max(0, keyframe.duration || 0),
+            easing: Easing.resolve(keyframe.easing || 'easeInOutCubic')
+        }));
+        this.loop = options.loop || false;
+        this.onComplete = options.onComplete || null;
+        this.onKeyframe = options.onKeyframe || null;
+        
+        // Material properties some keyframe sets; only these are written to the sphere
+        this.materialKeys = [...new Set(this.keyframes.flatMap(keyframe => Object.keys(keyframe.material || {})))];
+        
+        this.duration = this.keyframes.reduce((total, keyframe) => total + keyframe.duration, 0);
+        this.time = 0;
+        this.isPlaying = false;
+        this.lastUpdateTime = null;
+        this.currentIndex = -1;
+        this.appliedShapeKey = null;
+        
+        // Resolved start values of every keyframe, captured on first play/seek
+        this.segments = null;
+    }
+    
+    /**
+     * Snapshot the sphere's animatable values
+     */
+    captureValues() {
+        const sphere = this.sphere;
+        const material = {};
+        Object.keys(sphere.materialProperties).forEach(key => {
+            // Hex colours can't be eased numerically
+            if (typeof sphere.materialProperties[key] === 'number' && key !== 'color' && key !== 'emissive') {
+                material[key] = sphere.materialProperties[key];
+            }
+        });
+        
+        return {
+            scatterValue: sphere.scatterValue,
+            clusterValue: sphere.clusterValue,
+            rotationSpeed: sphere.rotationSpeed,
+            shape: sphere.currentShape,
+            shapeOptions: sphere.currentShapeOptions,
+            material
+        };
+    }
+    
+    /**
+     * Resolve each keyframe's start and end values from the sphere's current state
+     */
+    buildSegments() {
+        let values = this.captureValues();
+        let start = 0;
+        this.appliedShapeKey = values.shape + JSON.stringify(values.shapeOptions);
+        
+        this.segments = this.keyframes.map(keyframe => {
+            const from = values;
+            const to = {
+                scatterValue: keyframe.scatterValue !== undefined ? keyframe.scatterValue : from.scatterValue,
+                clusterValue: keyframe.clusterValue !== undefined ? keyframe.clusterValue : from.clusterValue,
+                rotationSpeed: keyframe.rotationSpeed !== undefined ? keyframe.rotationSpeed : from.rotationSpeed,
+                shape: keyframe.shape !== undefined ? keyframe.shape : from.shape,
+                shapeOptions: keyframe.shape !== undefined ? (keyframe.shapeOptions || {}) : from.shapeOptions,
+                material: { ...from.material, ...(keyframe.material || {}) }
+            };
+            
+            const segment = { keyframe, from, to, start, end: start + keyframe.duration };
+            values = to;
+            start = segment.end;
+            return segment;
+        });
+    }
+    
+    /**
+     * Start or resume playback; the sphere updates the timeline while it plays
+     */
+    play() {
+        if (!this.segments) {
+            this.buildSegments();
+        }
+        this.sphere.timelines.add(this);
+        if (this.time >= this.duration && !this.loop) {
+            this.time = 0;
+            this.currentIndex = -1;
+        }
+        this.isPlaying = true;
+        this.lastUpdateTime = null;
+        return this;
+    }
+    
+    /**
+     * Pause at the current time
+     */
+    pause() {
+        this.isPlaying = false;
+        return this;
+    }
+    
+    /**
+     * Pause and rewind to the beginning
+     */
+    stop() {
+        this.isPlaying = false;
+        this.time = 0;
+        this.currentIndex = -1;
+        return this;
+    }
+    
+    /**
+     * Jump to a time in seconds and apply the values at that point
+     */
+    seek(time) {
+        if (!this.segments) {
+            this.buildSegments();
+        }
+        this.time = Math.max(0, Math.min(this.duration, time));
+        this.apply();
+        return this;
+    }
+    
+    /**
+     * Advance playback; called every step by the sphere with its simulation time
+     */
+    update(time) {
+        if (!this.isPlaying) {
+            return;
+        }
+        
+        const delta = this.lastUpdateTime === null ? 0 : time - this.lastUpdateTime;
+        this.lastUpdateTime = time;
+        this.time += delta;
+        
+        if (this.time >= this.duration) {
+            if (this.loop && this.duration > 0) {
+                this.time %= this.duration;
+                this.currentIndex = -1;
+            } else {
+                this.time = this.duration;
+                this.apply();
+                this.isPlaying = false;
+                
+                // A finished timeline no longer needs updating until it is played again
+                this.sphere.timelines.delete(this);
+                if (this.onComplete) {
+                    this.onComplete(this);
+                }
+                return;
+            }
+        }
+        
+        this.apply();
+    }
+    
+    /**
+     * Write the values for the current time to the sphere
+     */
+    apply() {
+        if (this.segments.length === 0) {
+            return;
+        }
+        
+        let index = this.segments.findIndex(segment => this.time < segment.end);
+        if (index === -1) {
+            index = this.segments.length - 1;
+        }
+        const segment = this.segments[index];
+        
+        if (index !== this.currentIndex) {
+            this.currentIndex = index;
+            if (this.onKeyframe) {
+                this.onKeyframe(index, segment.keyframe, this);
+            }
+        }
+        
+        const t = segment.keyframe.duration > 0
+            ? Math.min((this.time - segment.start) / segment.keyframe.duration, 1)
+            : 1;
+        const eased = segment.keyframe.easing(t);
+        const lerp = (from, to) => from + (to - from) * eased;
+        
+        const sphere = this.sphere;
+        sphere.setScatterValue(lerp(segment.from.scatterValue, segment.to.scatterValue));
+        sphere.setClusterValue(lerp(segment.from.clusterValue, segment.to.clusterValue));
+        sphere.rotationSpeed = lerp(segment.from.rotationSpeed, segment.to.rotationSpeed);
+        
+        // Material tracks are written only when their value moved, so holds cost nothing per frame
+        let material = null;
+        this.materialKeys.forEach(key => {
+            const from = segment.from.material[key] !== undefined ? segment.from.material[key] : segment.to.material[key];
+            const value = lerp(from, segment.to.material[key]);
+            if (value !== sphere.materialProperties[key]) {
+                material = material || {};
+                material[key] = value;
+            }
+        });
+        if (material) {
+            sphere.updateMaterialProperties(material);
+        }
+        
+        // Only regenerate shape targets when the keyframe's shape actually changes. A generator
+        // that throws (bad text options, a shape unregistered since) leaves the current targets
+        const shapeKey = segment.to.shape + JSON.stringify(segment.to.shapeOptions);
+        if (shapeKey !== this.appliedShapeKey) {
+            this.appliedShapeKey = shapeKey;
+            try {
+                sphere.morphToShape(segment.to.shape, segment.to.shapeOptions);
+            } catch (error) {
+                console.warn('Timeline could not morph to shape:', error.message);
+                sphere.emit('error', { error, context: 'timeline' });
+            }
+        }
+    }
+    
+    /**
+     * Playback progress from 0 to 1
+     */
+    getProgress() {
+        return this.duration > 0 ? this.time / this.duration : 1;
+    }
+}
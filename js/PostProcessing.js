@@ -0,0 +1,235 @@
+/**
+ * PostProcessing - Optional effect stack around the scene render
+ * Scene (through MotionBlurPass) -> unreal-style bloom -> finish pass (chromatic aberration,
+ * vignette, film grain and sRGB output). Built on three's EffectComposer, UnrealBloomPass and
+ * ShaderPass example scripts; without them, or while disabled, the scene renders directly
+ * and no render targets are allocated
+ */
+class PostProcessing {
+    constructor(renderer, scene, camera, motionBlurPass, settings = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.motionBlurPass = motionBlurPass;
+        this.settings = PostProcessing.mergeSettings(PostProcessing.DEFAULTS, settings);
+        
+        // Created on the first enabled frame
+        this.composer = null;
+        this.bloomPass = null;
+        this.finishPass = null;
+        this.width = 1;
+        this.height = 1;
+        
+        // Held off by render quality (see QualityManager) without touching the settings
+        this.suspended = false;
+        
+        // Per-frame inputs for the scene pass
+        this.persistence = 0;
+    }
+    
+    /**
+     * Whether the EffectComposer example scripts are loaded
+     */
+    static isSupported() {
+        return typeof THREE.EffectComposer === 'function' &&
+            typeof THREE.UnrealBloomPass === 'function' &&
+            typeof THREE.ShaderPass === 'function';
+    }
+    
+    /**
+     * Rough check for devices that can't afford full-screen passes (small touch screens, few cores)
+     */
+    static isLowEndDevice() {
+        if (typeof navigator === 'undefined') {
+            return false;
+        }
+        const cores = navigator.hardwareConcurrency || 4;
+        const memory = navigator.deviceMemory || 4;
+        const coarsePointer = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+        return cores <= 2 || memory <= 2 || (coarsePointer && cores <= 4);
+    }
+    
+    /**
+     * Deep-merge one level of settings groups: { bloom: { strength } } only changes bloom.strength
+     */
+    static mergeSettings(base, settings) {
+        const merged = { ...base };
+        Object.keys(settings || {}).forEach(key => {
+            const value = settings[key];
+            merged[key] = value && typeof value === 'object' && base[key] && typeof base[key] === 'object'
+                ? { ...base[key], ...value }
+                : value;
+        });
+        return merged;
+    }
+    
+    /**
+     * Update settings, e.g. { enabled: true, bloom: { strength: 1.5 }, grain: { enabled: true } }
+     */
+    setSettings(settings) {
+        this.settings = PostProcessing.mergeSettings(this.settings, settings);
+        if (this.settings.enabled && !PostProcessing.isSupported()) {
+            console.warn('Post-processing needs three\'s EffectComposer, ShaderPass and UnrealBloomPass scripts; rendering without it');
+        }
+    }
+    
+    /**
+     * Whether this frame goes through the effect stack
+     */
+    isActive() {
+        return this.settings.enabled && !this.suspended && PostProcessing.isSupported();
+    }
+    
+    /**
+     * Hold the stack off, or let it run again if enabled; suspending releases the render targets
+     */
+    setSuspended(suspended) {
+        this.suspended = suspended;
+        if (suspended) {
+            this.dispose();
+        }
+    }
+    
+    /**
+     * Build the composer and its passes
+     */
+    createComposer() {
+        this.composer = new THREE.EffectComposer(this.renderer);
+        this.composer.setSize(this.width, this.height);
+        
+        // Scene pass: renders (with motion blur) into the composer's read buffer
+        const scenePass = new THREE.Pass();
+        scenePass.needsSwap = false;
+        scenePass.render = (renderer, writeBuffer, readBuffer) => {
+            this.motionBlurPass.render(this.scene, this.camera, this.persistence, readBuffer);
+        };
+        this.composer.addPass(scenePass);
+        
+        const bloom = this.settings.bloom;
+        this.bloomPass = new THREE.UnrealBloomPass(new THREE.Vector2(this.width, this.height), bloom.strength, bloom.radius, bloom.threshold);
+        this.composer.addPass(this.bloomPass);
+        
+        // Always last: it also converts the linear buffers for the canvas
+        this.finishPass = new THREE.ShaderPass(PostProcessing.FINISH_SHADER);
+        this.composer.addPass(this.finishPass);
+    }
+    
+    /**
+     * Match the canvas size (CSS pixels; the composer applies the pixel ratio)
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        if (this.composer) {
+            this.composer.setPixelRatio(this.renderer.getPixelRatio());
+            this.composer.setSize(width, height);
+        }
+    }
+    
+    /**
+     * Render a frame
+     * persistence: motion blur to apply; emissiveIntensity: the particles' current glow,
+     * which scales bloom (1x at the default 0.05)
+     */
+    render(persistence, emissiveIntensity, time) {
+        if (!this.isActive()) {
+            this.motionBlurPass.render(this.scene, this.camera, persistence);
+            return;
+        }
+        if (!this.composer) {
+            this.createComposer();
+        }
+        this.persistence = persistence;
+        
+        const { bloom, vignette, grain, chromaticAberration } = this.settings;
+        this.bloomPass.enabled = bloom.enabled;
+        this.bloomPass.strength = bloom.strength * Math.min(3, 0.5 + emissiveIntensity * 10);
+        this.bloomPass.radius = bloom.radius;
+        this.bloomPass.threshold = bloom.threshold;
+        
+        const uniforms = this.finishPass.uniforms;
+        uniforms.uVignette.value = vignette.enabled ? vignette.amount : 0;
+        uniforms.uVignetteSoftness.value = vignette.softness;
+        uniforms.uGrain.value = grain.enabled ? grain.amount : 0;
+        uniforms.uAberration.value = chromaticAberration.enabled ? chromaticAberration.amount : 0;
+        uniforms.uTime.value = time;
+        
+        this.composer.render();
+    }
+    
+    /**
+     * Release the composer's render targets and pass resources; it is rebuilt if used again
+     */
+    dispose() {
+        if (!this.composer) {
+            return;
+        }
+        this.bloomPass.dispose();
+        this.finishPass.material.dispose();
+        this.composer.renderTarget1.dispose();
+        this.composer.renderTarget2.dispose();
+        this.composer = null;
+        this.bloomPass = null;
+        this.finishPass = null;
+    }
+}
+
+/**
+ * Default effect settings; override with options.postProcessing or setPostProcessing()
+ */
+PostProcessing.DEFAULTS = {
+    enabled: true,
+    bloom: { enabled: true, strength: 0.8, radius: 0.4, threshold: 0.6 },
+    vignette: { enabled: true, amount: 0.5, softness: 0.45 },
+    grain: { enabled: false, amount: 0.04 },
+    chromaticAberration: { enabled: false, amount: 0.004 } // uv offset at the screen edge
+};
+
+/**
+ * Chromatic aberration, vignette and grain in one full-screen pass
+ */
+PostProcessing.FINISH_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uVignette: { value: 0 },
+        uVignetteSoftness: { value: 0.45 },
+        uGrain: { value: 0 },
+        uAberration: { value: 0 },
+        uTime: { value: 0 }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uVignette;
+        uniform float uVignetteSoftness;
+        uniform float uGrain;
+        uniform float uAberration;
+        uniform float uTime;
+        varying vec2 vUv;
+        
+        float grainNoise(vec2 uv) {
+            return fract(sin(dot(uv, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+        
+        void main() {
+            // Split red and blue outward from the center
+            vec2 offset = (vUv - 0.5) * 2.0 * uAberration;
+            vec4 color = texture2D(tDiffuse, vUv);
+            color.r = texture2D(tDiffuse, vUv + offset).r;
+            color.b = texture2D(tDiffuse, vUv - offset).b;
+            
+            float distanceFromCenter = length(vUv - 0.5) * 1.414;
+            color.rgb *= 1.0 - uVignette * smoothstep(1.0 - uVignetteSoftness, 1.0, distanceFromCenter);
+            
+            color.rgb += (grainNoise(vUv + fract(uTime)) - 0.5) * uGrain;
+            
+            gl_FragColor = linearToOutputTexel(color);
+        }
+    `
+};
@@ -0,0 +1,177 @@
+/**
+ * PresetLibrary - Named visualizer states persisted in localStorage
+ * Presets are the plain objects returned by AdvancedParticleSphere.getState(); the library
+ * also moves them in and out of JSON files and shareable URL hashes (#state=...)
+ */
+class PresetLibrary {
+    constructor(storageKey = PresetLibrary.STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.presets = this.read();
+    }
+    
+    /**
+     * Load presets from storage; unavailable or corrupt storage gives an empty library
+     */
+    read() {
+        try {
+            const stored = window.localStorage.getItem(this.storageKey);
+            const presets = stored ? JSON.parse(stored) : null;
+            return PresetLibrary.createMap(presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : null);
+        } catch (error) {
+            console.warn('Could not read presets:', error);
+            return PresetLibrary.createMap();
+        }
+    }
+    
+    /**
+     * Persist presets; failures (private mode, quota) keep them for this session only
+     */
+    write() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+        } catch (error) {
+            console.warn('Could not save presets:', error);
+        }
+    }
+    
+    /**
+     * Preset names in alphabetical order
+     */
+    list() {
+        return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    }
+    
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.presets, name);
+    }
+    
+    get(name) {
+        return this.has(name) ? this.presets[name] : undefined;
+    }
+    
+    /**
+     * Save (or overwrite) a preset
+     */
+    save(name, state) {
+        name = PresetLibrary.validateName(name);
+        this.presets[name] = state;
+        this.write();
+        return this;
+    }
+    
+    /**
+     * Rename a preset; refuses to overwrite an existing one
+     */
+    rename(name, newName) {
+        newName = PresetLibrary.validateName(newName);
+        if (!this.has(name)) {
+            throw new Error(`Unknown preset "${name}"`);
+        }
+        if (newName === name) {
+            return this;
+        }
+        if (this.has(newName)) {
+            throw new Error(`A preset named "${newName}" already exists`);
+        }
+        
+        this.presets[newName] = this.presets[name];
+        delete this.presets[name];
+        this.write();
+        return this;
+    }
+    
+    /**
+     * Delete a preset
+     */
+    remove(name) {
+        if (!this.has(name)) {
+            return false;
+        }
+        delete this.presets[name];
+        this.write();
+        return true;
+    }
+    
+    /**
+     * Serialise some or all presets for a JSON file
+     */
+    exportJSON(names = this.list()) {
+        const presets = PresetLibrary.createMap();
+        names.forEach(name => {
+            if (this.has(name)) {
+                presets[name] = this.presets[name];
+            }
+        });
+        return JSON.stringify({ type: PresetLibrary.FILE_TYPE, version: 1, presets }, null, 2);
+    }
+    
+    /**
+     * Merge presets from exported JSON, overwriting same-named ones
+     * Also accepts a bare { name: state } map; returns the imported names
+     */
+    importJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const presets = data && data.type === PresetLibrary.FILE_TYPE ? data.presets : data;
+        if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+            throw new Error('Not a preset file');
+        }
+        
+        const names = Object.keys(presets).filter(name => presets[name] && typeof presets[name] === 'object');
+        names.forEach(name => {
+            this.presets[name] = presets[name];
+        });
+        this.write();
+        return names;
+    }
+    
+    /**
+     * Prototype-free name → state map, so names like '__proto__' or 'constructor' are plain keys
+     */
+    static createMap(entries = null) {
+        return Object.assign(Object.create(null), entries);
+    }
+    
+    static validateName(name) {
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            throw new Error('Preset name must be a non-empty string');
+        }
+        return name.trim();
+    }
+    
+    /**
+     * Encode a state as a URL hash: '#state=' + base64url(JSON)
+     */
+    static encodeHash(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `#${PresetLibrary.HASH_KEY}=${encoded}`;
+    }
+    
+    /**
+     * Decode a state from a URL hash, or return null when the hash carries none
+     */
+    static decodeHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const encoded = params.get(PresetLibrary.HASH_KEY);
+        if (!encoded) {
+            return null;
+        }
+        
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            console.warn('Ignoring malformed state in URL hash:', error);
+            return null;
+        }
+    }
+}
+
+PresetLibrary.STORAGE_KEY = 'orbitSphere.presets';
+PresetLibrary.FILE_TYPE = 'orbit-sphere-presets';
+PresetLibrary.HASH_KEY = 'state';
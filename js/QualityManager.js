@@ -0,0 +1,258 @@
+/**
+ * QualityManager - Adaptive render quality for an AdvancedParticleSphere
+ * Watches the time each frame's update and render take and steps down a tier (TIERS, best first)
+ * when the average stays above downgradeFrameTime, or back up when it stays below upgradeFrameTime.
+ * Work time rather than the gap between frames is measured, since that gap never drops below
+ * the display's refresh interval (33 ms on a 30 Hz screen) however light the scene is. The GPU
+ * runs asynchronously, so its cost shows up as the gap instead: frames that keep arriving more than
+ * slowIntervalRatio times the refresh interval (the shortest smoothed gap seen) count as slow too.
+ * Tiers set particle geometry segments, the pixel ratio cap, shadow maps, the share of
+ * particleCount drawn and whether post-processing may run; caps bound every tier, so e.g.
+ * caps: { pixelRatio: 1 } never renders above 1x. The sphere emits 'qualitychange' on every step
+ */
+class QualityManager {
+    constructor(sphere, settings = {}) {
+        this.sphere = sphere;
+        this.settings = { ...QualityManager.DEFAULTS, caps: {} };
+        this.tier = 0;
+        
+        // Work time measurement (ms); lastTime is null until the first sampled frame
+        this.lastTime = null;
+        this.averageFrameTime = null;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.cooldown = 0;
+        
+        // Smoothed gap between frames (ms) and the display refresh interval it is compared with;
+        // the refresh interval outlives reset() as it belongs to the display, not the tier
+        this.averageInterval = null;
+        this.refreshInterval = null;
+        
+        // Doubles whenever an upgrade has to be taken back, so a borderline device settles
+        this.upgradeDelay = this.settings.upgradeDelay;
+        this.lastDirection = 0;
+        
+        this.setSettings(settings);
+        this.applyTier(this.clampTier(this.resolveTier(this.settings.initialTier)));
+    }
+    
+    /**
+     * Merge new settings; caps merge into the current caps and re-apply the tier
+     */
+    setSettings(settings) {
+        const caps = { ...this.settings.caps, ...settings.caps };
+        Object.keys(caps).forEach(key => {
+            if (!QualityManager.QUALITY_KEYS.includes(key)) {
+                throw new Error(`Unknown quality cap "${key}". Known caps: ${QualityManager.QUALITY_KEYS.join(', ')}`);
+            }
+        });
+        
+        const next = { ...this.settings, ...settings, caps };
+        this.resolveTier(next.highestTier);
+        this.resolveTier(next.lowestTier);
+        const previousDelay = this.settings.upgradeDelay;
+        this.settings = next;
+        if (next.upgradeDelay !== previousDelay) {
+            this.upgradeDelay = next.upgradeDelay;
+        }
+        
+        // Already constructed: bring the current tier within the new caps and bounds
+        if (this.sphere.qualityManager === this) {
+            this.setTier(this.clampTier(this.tier));
+        }
+    }
+    
+    /**
+     * Tier index for a name or index
+     */
+    resolveTier(tier) {
+        const index = typeof tier === 'number' ? tier : QualityManager.TIERS.findIndex(entry => entry.name === tier);
+        if (!QualityManager.TIERS[index]) {
+            throw new Error(`Unknown quality tier "${tier}". Known tiers: ${QualityManager.TIERS.map(entry => entry.name).join(', ')}`);
+        }
+        return index;
+    }
+    
+    /**
+     * Keep a tier index between highestTier and lowestTier
+     */
+    clampTier(index) {
+        const highest = this.resolveTier(this.settings.highestTier);
+        const lowest = this.resolveTier(this.settings.lowestTier);
+        return Math.max(highest, Math.min(lowest, index));
+    }
+    
+    /**
+     * Name of the current tier
+     */
+    getTierName() {
+        return QualityManager.TIERS[this.tier].name;
+    }
+    
+    /**
+     * Quality values of a tier with the caps applied: numbers take the smaller value,
+     * switches stay on only if the cap allows them
+     */
+    getQuality(tier = this.tier) {
+        const { name, ...quality } = QualityManager.TIERS[this.resolveTier(tier)];
+        const caps = this.settings.caps;
+        Object.keys(caps).forEach(key => {
+            if (caps[key] === undefined || caps[key] === null) {
+                return;
+            }
+            quality[key] = typeof quality[key] === 'boolean'
+                ? quality[key] && Boolean(caps[key])
+                : Math.min(quality[key], caps[key]);
+        });
+        return quality;
+    }
+    
+    /**
+     * Switch to a tier (name or index) and emit 'qualitychange' if it differs from the current one
+     */
+    setTier(tier) {
+        const index = this.clampTier(this.resolveTier(tier));
+        const previousTier = this.getTierName();
+        const frameTime = this.averageFrameTime;
+        const changed = index !== this.tier;
+        this.applyTier(index);
+        if (changed) {
+            this.sphere.emit('qualitychange', {
+                tier: this.getTierName(),
+                previousTier,
+                quality: { ...this.sphere.quality },
+                frameTime
+            });
+        }
+        return this;
+    }
+    
+    /**
+     * Apply a tier's capped quality and restart measuring once the change has settled;
+     * changes that rebuild the particles settle for rebuildCooldown instead of cooldown
+     */
+    applyTier(index) {
+        const quality = this.getQuality(index);
+        const previous = this.sphere.quality;
+        const rebuilds = quality.segments !== previous.segments || quality.particleScale !== previous.particleScale;
+        
+        this.lastDirection = Math.sign(index - this.tier);
+        this.tier = index;
+        this.sphere.setQuality(quality);
+        this.reset();
+        this.cooldown = rebuilds ? this.settings.rebuildCooldown : this.settings.cooldown;
+    }
+    
+    /**
+     * Forget the measured frame times, e.g. after the loop was suspended
+     */
+    reset() {
+        this.lastTime = null;
+        this.averageFrameTime = null;
+        this.averageInterval = null;
+        this.slowTime = 0;
+        this.fastTime = 0;
+    }
+    
+    /**
+     * Record a drawn frame and step the tier if needed
+     * now is the time in ms (e.g. performance.now()) and workTime the ms spent updating and
+     * rendering the frame; without workTime the time since the previous frame is used
+     */
+    update(now, workTime) {
+        const interval = this.lastTime === null ? 0 : now - this.lastTime;
+        this.lastTime = now;
+        
+        // Skip the first frame and gaps from a suspended loop or hidden tab
+        if (interval <= 0 || interval > QualityManager.MAX_FRAME_GAP) {
+            return;
+        }
+        const seconds = interval / 1000;
+        
+        // Rebuilt particles and recompiled shaders make the first frames after a change slow
+        if (this.cooldown > 0) {
+            this.cooldown -= seconds;
+            return;
+        }
+        
+        const settings = this.settings;
+        const frameTime = workTime !== undefined ? workTime : interval;
+        const blend = 1 - Math.exp(-seconds / settings.smoothing);
+        this.averageFrameTime = this.averageFrameTime === null
+            ? frameTime
+            : this.averageFrameTime + (frameTime - this.averageFrameTime) * blend;
+        this.averageInterval = this.averageInterval === null
+            ? interval
+            : this.averageInterval + (interval - this.averageInterval) * blend;
+        this.refreshInterval = Math.max(
+            QualityManager.MIN_REFRESH_INTERVAL,
+            this.refreshInterval === null ? this.averageInterval : Math.min(this.refreshInterval, this.averageInterval)
+        );
+        
+        // GPU-bound frames take little work time but miss refreshes
+        const intervalRatio = this.averageInterval / this.refreshInterval;
+        if (this.averageFrameTime > settings.downgradeFrameTime || intervalRatio > settings.slowIntervalRatio) {
+            this.slowTime += seconds;
+            this.fastTime = 0;
+        } else if (this.averageFrameTime < settings.upgradeFrameTime && intervalRatio < settings.fastIntervalRatio) {
+            this.fastTime += seconds;
+            this.slowTime = 0;
+        } else {
+            this.slowTime = 0;
+            this.fastTime = 0;
+        }
+        
+        if (this.slowTime >= settings.downgradeDelay && this.tier < this.clampTier(this.tier + 1)) {
+            if (this.lastDirection < 0) {
+                this.upgradeDelay = Math.min(this.upgradeDelay * 2, QualityManager.MAX_UPGRADE_DELAY);
+            }
+            this.setTier(this.tier + 1);
+        } else if (this.fastTime >= this.upgradeDelay && this.tier > this.clampTier(this.tier - 1)) {
+            this.setTier(this.tier - 1);
+        }
+    }
+}
+
+/**
+ * Quality tiers, best first; particleScale is the share of particleCount drawn
+ */
+QualityManager.TIERS = [
+    { name: 'high', segments: 16, pixelRatio: 2, shadows: true, particleScale: 1, postProcessing: true },
+    { name: 'medium', segments: 16, pixelRatio: 1.5, shadows: false, particleScale: 1, postProcessing: true },
+    { name: 'low', segments: 10, pixelRatio: 1, shadows: false, particleScale: 1, postProcessing: false },
+    { name: 'minimal', segments: 6, pixelRatio: 0.75, shadows: false, particleScale: 0.5, postProcessing: false }
+];
+QualityManager.QUALITY_KEYS = ['segments', 'pixelRatio', 'shadows', 'particleScale', 'postProcessing'];
+
+/**
+ * Default governor settings; override with options.adaptiveQuality or setAdaptiveQuality()
+ */
+QualityManager.DEFAULTS = {
+    initialTier: 'high',
+    highestTier: 'high',
+    lowestTier: 'minimal',
+    downgradeFrameTime: 12, // ms of work per frame; leaves the browser room within a 60 Hz frame
+    upgradeFrameTime: 8, // ms of work per frame
+    slowIntervalRatio: 1.5, // frame gap over refresh interval above which frames count as slow
+    fastIntervalRatio: 1.15, // frame gap over refresh interval below which frames may count as fast
+    downgradeDelay: 2, // seconds the average must stay slow before stepping down
+    upgradeDelay: 6, // seconds the average must stay fast before stepping up
+    cooldown: 1, // seconds ignored after a change
+    rebuildCooldown: 3, // seconds ignored after a change that rebuilds the particles
+    smoothing: 0.5 // seconds; time constant of the frame time average
+};
+
+/**
+ * Frame gaps (ms) longer than this are pauses, not slow frames
+ */
+QualityManager.MAX_FRAME_GAP = 1000;
+
+/**
+ * Shortest refresh interval (ms) assumed, 240 Hz, so a burst of quick frames can't set it lower
+ */
+QualityManager.MIN_REFRESH_INTERVAL = 1000 / 240;
+
+/**
+ * Longest the upgrade delay grows to (seconds) after upgrades that had to be taken back
+ */
+QualityManager.MAX_UPGRADE_DELAY = 60;
@@ -0,0 +1,68 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32) for reproducible particle layouts
+ * The same seed always gives the same sequence; seeds may be numbers or strings.
+ * next() is bound, so it can stand in for Math.random: const random = new SeededRandom(42).next
+ */
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed;
+        this.state = SeededRandom.hash(seed);
+        this.next = this.next.bind(this);
+    }
+    
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Hash a number or string seed to 32 bits (FNV-1a with a final avalanche)
+     */
+    static hash(seed) {
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+    
+    /**
+     * Independent stream for one use of a base seed, so e.g. the scatter cloud and
+     * shape layouts don't shift each other when one of them draws more numbers
+     */
+    static derive(seed, label) {
+        return new SeededRandom(`${seed}:${label}`);
+    }
+    
+    /**
+     * A fresh, non-deterministic seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+    
+    /**
+     * Random function for shape generator options: options.random, else a stream
+     * seeded by options.seed, else Math.random
+     */
+    static fromOptions(options = {}) {
+        if (typeof options.random === 'function') {
+            return options.random;
+        }
+        return options.seed !== undefined ? new SeededRandom(options.seed).next : Math.random;
+    }
+}
+
+// Node (tests, build scripts): export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
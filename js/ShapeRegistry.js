@@ -0,0 +1,233 @@
+/**
+ * ShapeRegistry - Named morph-target generators for AdvancedParticleSphere
+ * A generator is called as generator(count, options) and returns positions either as
+ * an array of {x, y, z} points (THREE.Vector3 works) or a flat [x0, y0, z0, x1, ...] array
+ * Generators that place points randomly should draw from options.random instead of Math.random,
+ * so a seed reproduces the same layout
+ */
+class ShapeRegistry {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.generators = new Map();
+    }
+    
+    /**
+     * Register (or replace) a shape generator
+     */
+    register(name, generator) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Shape name must be a non-empty string');
+        }
+        if (name === 'sphere') {
+            throw new Error('"sphere" is reserved for the scatter/cluster sphere');
+        }
+        if (typeof generator !== 'function') {
+            throw new Error(`Shape generator for "${name}" must be a function`);
+        }
+        
+        this.generators.set(name, generator);
+        return this;
+    }
+    
+    /**
+     * Remove a shape registered on this registry
+     */
+    unregister(name) {
+        return this.generators.delete(name);
+    }
+    
+    /**
+     * Find a generator here or in the parent registry
+     */
+    get(name) {
+        if (this.generators.has(name)) {
+            return this.generators.get(name);
+        }
+        return this.parent ? this.parent.get(name) : undefined;
+    }
+    
+    has(name) {
+        return this.get(name) !== undefined;
+    }
+    
+    /**
+     * Names of every shape visible from this registry
+     */
+    list() {
+        const names = new Set(this.parent ? this.parent.list() : []);
+        this.generators.forEach((generator, name) => names.add(name));
+        return Array.from(names);
+    }
+    
+    /**
+     * Run a generator and normalise its output to exactly count positions
+     * Returns a flat Float32Array of length count * 3
+     * options.seed makes the result repeatable: the same seed and count give the same positions
+     */
+    generate(name, count, options = {}) {
+        const generator = this.get(name);
+        if (!generator) {
+            throw new Error(`Unknown shape "${name}". Registered shapes: ${this.list().join(', ')}`);
+        }
+        
+        const random = ShapeRegistry.SeededRandom.fromOptions(options);
+        return ShapeRegistry.normalize(generator(count, { ...options, random }), count, name);
+    }
+    
+    /**
+     * Convert generator output to a flat Float32Array of count positions
+     * Short outputs wrap around so every particle gets a target
+     */
+    static normalize(positions, count, name) {
+        const flat = ShapeRegistry.flatten(positions);
+        const available = Math.floor(flat.length / 3);
+        if (available === 0) {
+            throw new Error(`Shape "${name}" produced no positions`);
+        }
+        
+        const result = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const source = (i % available) * 3;
+            result[i * 3] = flat[source];
+            result[i * 3 + 1] = flat[source + 1];
+            result[i * 3 + 2] = flat[source + 2];
+        }
+        return result;
+    }
+    
+    /**
+     * Accept point arrays or flat numeric arrays
+     */
+    static flatten(positions) {
+        if (!positions || typeof positions.length !== 'number') {
+            return [];
+        }
+        if (positions.length === 0 || typeof positions[0] === 'number') {
+            return positions;
+        }
+        
+        const flat = new Float32Array(positions.length * 3);
+        positions.forEach((point, i) => {
+            flat[i * 3] = point.x;
+            flat[i * 3 + 1] = point.y;
+            flat[i * 3 + 2] = point.z || 0;
+        });
+        return flat;
+    }
+}
+
+/**
+ * SeededRandom: the page's global in browsers (loaded before this script), required under Node
+ */
+ShapeRegistry.SeededRandom = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./SeededRandom.js');
+
+/**
+ * Smiley face: outline, two eyes, a smile and a filled interior
+ */
+ShapeRegistry.smiley = function(count, options = {}) {
+    const random = ShapeRegistry.SeededRandom.fromOptions(options);
+    const positions = [];
+    const radius = 3;
+    
+    // Face outline (circle)
+    const outlineCount = Math.floor(count * 0.4);
+    for (let i = 0; i < outlineCount; i++) {
+        const angle = (i / outlineCount) * Math.PI * 2;
+        positions.push(Math.cos(angle) * radius, Math.sin(angle) * radius, 0);
+    }
+    
+    // Eyes
+    const eyeCount = Math.floor(count * 0.2);
+    for (let i = 0; i < eyeCount; i++) {
+        const angle = (i / eyeCount) * Math.PI * 2;
+        const eyeRadius = 0.5;
+        // Left eye
+        positions.push(Math.cos(angle) * eyeRadius - 1, Math.sin(angle) * eyeRadius + 1, 0);
+        // Right eye
+        positions.push(Math.cos(angle) * eyeRadius + 1, Math.sin(angle) * eyeRadius + 1, 0);
+    }
+    
+    // Smile
+    const smileCount = Math.floor(count * 0.2);
+    for (let i = 0; i < smileCount; i++) {
+        const angle = (i / smileCount) * Math.PI + Math.PI;
+        const smileRadius = 1.5;
+        positions.push(Math.cos(angle) * smileRadius, Math.sin(angle) * smileRadius - 0.5, 0);
+    }
+    
+    // Fill the rest with random positions inside the face
+    const remainingCount = count - positions.length / 3;
+    for (let i = 0; i < remainingCount; i++) {
+        const angle = random() * Math.PI * 2;
+        const r = random() * radius * 0.8;
+        positions.push(Math.cos(angle) * r, Math.sin(angle) * r, 0);
+    }
+    
+    return positions;
+};
+
+/**
+ * Thumbs up: thumb, hand and finger curves
+ */
+ShapeRegistry.thumbs = function(count) {
+    const positions = [];
+    
+    // Thumb outline
+    const thumbCount = Math.floor(count * 0.3);
+    for (let i = 0; i < thumbCount; i++) {
+        const t = i / thumbCount;
+        positions.push(Math.sin(t * Math.PI) * 1.5, t * 3 - 1.5, 0);
+    }
+    
+    // Hand outline
+    const handCount = Math.floor(count * 0.4);
+    for (let i = 0; i < handCount; i++) {
+        const t = i / handCount;
+        positions.push(Math.sin(t * Math.PI) * 2, t * 2 - 1, 0);
+    }
+    
+    // Fingers
+    const fingerCount = Math.floor(count * 0.3);
+    for (let i = 0; i < fingerCount; i++) {
+        const t = i / fingerCount;
+        positions.push(Math.sin(t * Math.PI) * 1.8, t * 1.5 - 0.5, 0);
+    }
+    
+    return positions;
+};
+
+/**
+ * Torus ring in the XY plane (spun by the visualizer)
+ */
+ShapeRegistry.ring = function(count, options = {}) {
+    const random = ShapeRegistry.SeededRandom.fromOptions(options);
+    const positions = [];
+    const ringRadius = 3;
+    const tubeRadius = 0.5;
+    
+    for (let i = 0; i < count; i++) {
+        const theta = (i / count) * Math.PI * 2;
+        const phi = random() * Math.PI * 2;
+        
+        positions.push(
+            (ringRadius + Math.cos(phi) * tubeRadius) * Math.cos(theta),
+            (ringRadius + Math.cos(phi) * tubeRadius) * Math.sin(theta),
+            Math.sin(phi) * tubeRadius
+        );
+    }
+    
+    return positions;
+};
+
+/**
+ * Registry shared by every visualizer; instances layer their own shapes on top
+ */
+ShapeRegistry.global = new ShapeRegistry()
+    .register('smiley', ShapeRegistry.smiley)
+    .register('thumbs', ShapeRegistry.thumbs)
+    .register('ring', ShapeRegistry.ring);
+
+// Node (tests, build scripts): export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShapeRegistry;
+}
@@ -0,0 +1,176 @@
+/**
+ * StreakTrailRenderer - Records particle trails and draws them as fading line segments
+ * One THREE.LineSegments holds every trail; segments run from the particle back through its
+ * recorded positions, dimming with age. Trail vertices live in the particle group's space,
+ * so the lines belong in the same group as the particles
+ */
+class StreakTrailRenderer {
+    constructor(count) {
+        this.count = count;
+        this.maxSegments = count * StreakTrailRenderer.MAX_SAMPLES;
+        
+        // Fixed ring of MAX_SAMPLES per particle, oldest sample at sampleStarts[index], so
+        // recording and expiring samples never allocate
+        this.samplePositions = new Float32Array(this.maxSegments * 3);
+        this.sampleTimes = new Float64Array(this.maxSegments);
+        this.sampleStarts = new Uint8Array(count);
+        this.sampleCounts = new Uint8Array(count);
+        
+        this.geometry = new THREE.BufferGeometry();
+        this.positionAttribute = new THREE.BufferAttribute(new Float32Array(this.maxSegments * 6), 3);
+        this.colorAttribute = new THREE.BufferAttribute(new Float32Array(this.maxSegments * 6), 3);
+        this.positionAttribute.setUsage(THREE.DynamicDrawUsage);
+        this.colorAttribute.setUsage(THREE.DynamicDrawUsage);
+        this.geometry.setAttribute('position', this.positionAttribute);
+        this.geometry.setAttribute('color', this.colorAttribute);
+        this.geometry.setDrawRange(0, 0);
+        
+        // Additive over the black background: dimmer vertex colours read as more transparent
+        this.material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        
+        this.lines = new THREE.LineSegments(this.geometry, this.material);
+        this.lines.frustumCulled = false;
+    }
+    
+    /**
+     * Add a particle's position to its trail, at most once per SAMPLE_RATE frame so trails cover
+     * the same time at any frame rate (with a little slack for frame jitter); length (0..2)
+     * decides how many samples are kept
+     */
+    record(index, position, time, length) {
+        const maxSamples = StreakTrailRenderer.MAX_SAMPLES;
+        const base = index * maxSamples;
+        let start = this.sampleStarts[index];
+        let sampleCount = this.sampleCounts[index];
+        
+        if (sampleCount > 0) {
+            const newest = base + (start + sampleCount - 1) % maxSamples;
+            if (time - this.sampleTimes[newest] < 0.9 / StreakTrailRenderer.SAMPLE_RATE) {
+                return;
+            }
+        }
+        
+        // A full ring overwrites its oldest sample
+        if (sampleCount === maxSamples) {
+            start = (start + 1) % maxSamples;
+            sampleCount--;
+        }
+        const slot = base + (start + sampleCount) % maxSamples;
+        this.samplePositions[slot * 3] = position.x;
+        this.samplePositions[slot * 3 + 1] = position.y;
+        this.samplePositions[slot * 3 + 2] = position.z;
+        this.sampleTimes[slot] = time;
+        sampleCount++;
+        
+        const keep = StreakTrailRenderer.getSampleCount(length);
+        if (sampleCount > keep) {
+            start = (start + sampleCount - keep) % maxSamples;
+            sampleCount = keep;
+        }
+        this.sampleStarts[index] = start;
+        this.sampleCounts[index] = sampleCount;
+    }
+    
+    /**
+     * Rebuild the segments from the recorded trails
+     * Samples older than the trail's lifetime are dropped here, so trails shrink away once
+     * particles stop recording them
+     */
+    update(particles, time, length, intensity) {
+        const maxSamples = StreakTrailRenderer.MAX_SAMPLES;
+        const samples = StreakTrailRenderer.getSampleCount(length);
+        const lifetime = samples / StreakTrailRenderer.SAMPLE_RATE;
+        const samplePositions = this.samplePositions;
+        const sampleTimes = this.sampleTimes;
+        const positions = this.positionAttribute.array;
+        const colors = this.colorAttribute.array;
+        let segment = 0;
+        
+        particles.forEach((particle, index) => {
+            const base = index * maxSamples;
+            let start = this.sampleStarts[index];
+            let sampleCount = this.sampleCounts[index];
+            while (sampleCount > 0 && (sampleCount > samples || time - sampleTimes[base + start] >= lifetime)) {
+                start = (start + 1) % maxSamples;
+                sampleCount--;
+            }
+            this.sampleStarts[index] = start;
+            this.sampleCounts[index] = sampleCount;
+            if (sampleCount === 0 || segment >= this.maxSegments) {
+                return;
+            }
+            
+            const color = particle.material.color;
+            let headX = particle.position.x;
+            let headY = particle.position.y;
+            let headZ = particle.position.z;
+            let headBrightness = intensity;
+            for (let i = sampleCount - 1; i >= 0 && segment < this.maxSegments; i--) {
+                const slot = base + (start + i) % maxSamples;
+                const sampleX = samplePositions[slot * 3];
+                const sampleY = samplePositions[slot * 3 + 1];
+                const sampleZ = samplePositions[slot * 3 + 2];
+                const brightness = intensity * Math.max(0, 1 - (time - sampleTimes[slot]) / lifetime);
+                const offset = segment * 6;
+                
+                positions[offset] = headX;
+                positions[offset + 1] = headY;
+                positions[offset + 2] = headZ;
+                positions[offset + 3] = sampleX;
+                positions[offset + 4] = sampleY;
+                positions[offset + 5] = sampleZ;
+                colors[offset] = color.r * headBrightness;
+                colors[offset + 1] = color.g * headBrightness;
+                colors[offset + 2] = color.b * headBrightness;
+                colors[offset + 3] = color.r * brightness;
+                colors[offset + 4] = color.g * brightness;
+                colors[offset + 5] = color.b * brightness;
+                
+                headX = sampleX;
+                headY = sampleY;
+                headZ = sampleZ;
+                headBrightness = brightness;
+                segment++;
+            }
+        });
+        
+        this.geometry.setDrawRange(0, segment * 2);
+        if (segment > 0) {
+            this.positionAttribute.needsUpdate = true;
+            this.colorAttribute.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Trail samples kept per particle for a streak length (0..2)
+     */
+    static getSampleCount(length) {
+        return Math.round(StreakTrailRenderer.MAX_SAMPLES * Math.max(0, Math.min(2, length)) / 2);
+    }
+    
+    /**
+     * Remove the lines from the scene graph and release GPU resources
+     */
+    dispose() {
+        if (this.lines.parent) {
+            this.lines.parent.remove(this.lines);
+        }
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+/**
+ * Trail samples per particle at the longest streak length (one sample per frame)
+ */
+StreakTrailRenderer.MAX_SAMPLES = 16;
+
+/**
+ * Frames per second assumed when turning a sample count into a trail lifetime
+ */
+StreakTrailRenderer.SAMPLE_RATE = 60;
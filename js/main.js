@@ -5,9 +5,22 @@
 
 // Global variables
 let particleSphere;
+let presetLibrary;
 let fpsCounter = 0;
 let lastFpsTime = performance.now();
 
+// Post-processing sliders: [slider id, value label id, effect, setting, decimals]
+const POST_PROCESSING_SLIDERS = [
+    ['bloomStrengthSlider', 'bloomStrengthValue', 'bloom', 'strength', 2],
+    ['bloomThresholdSlider', 'bloomThresholdValue', 'bloom', 'threshold', 2],
+    ['vignetteSlider', 'vignetteValue', 'vignette', 'amount', 2],
+    ['grainSlider', 'grainValue', 'grain', 'amount', 3],
+    ['aberrationSlider', 'aberrationValue', 'chromaticAberration', 'amount', 3]
+];
+
+// How long (ms) a download link's object URL stays valid after the click
+const DOWNLOAD_URL_LIFETIME = 10000;
+
 /**
  * Initialize the application when the page loads
  */
@@ -35,7 +48,7 @@ function init() {
     
     // Create the advanced particle sphere visualizer
     try {
-        particleSphere = new AdvancedParticleSphere(container);
+        particleSphere = new AdvancedParticleSphere(container, { renderMode: 'instanced' });
         console.log('AdvancedParticleSphere created successfully');
     } catch (error) {
         console.error('Error creating AdvancedParticleSphere:', error);
@@ -45,6 +58,10 @@ function init() {
     // Setup the control panel
     setupControlPanel();
     
+    // Restore a shared look from the URL, e.g. index.html#state=...
+    applyStateFromHash();
+    window.addEventListener('hashchange', applyStateFromHash);
+    
     // Start FPS counter
     startFpsCounter();
     
@@ -83,7 +100,15 @@ function setupControlPanel() {
     
     // Setup all slider controls
     setupParticleControls();
+    setupColorControls();
     setupMorphingControls();
+    setupPhysicsControls();
+    setupAssistantStateControls();
+    setupAudioControls();
+    setupPostProcessingControls();
+    setupExportControls();
+    setupQualityControls();
+    setupPresetControls();
 }
 
 
@@ -115,6 +140,70 @@ function setupParticleControls() {
             particleSphere.setParticleCount(value);
         }
     });
+    
+    // Fresh scatter and shape layout; the seed lands in presets and links
+    document.getElementById('reseedButton').addEventListener('click', () => {
+        if (particleSphere) {
+            particleSphere.reseed();
+        }
+    });
+}
+
+
+
+/**
+ * Setup colour mode, gradient mapping and palette selects
+ */
+function setupColorControls() {
+    const colorModeSelect = document.getElementById('colorModeSelect');
+    const colorMappingSelect = document.getElementById('colorMappingSelect');
+    const paletteSelect = document.getElementById('paletteSelect');
+    
+    Object.keys(ParticleColorizer.PALETTES).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+        paletteSelect.appendChild(option);
+    });
+    
+    colorModeSelect.addEventListener('change', () => {
+        if (particleSphere && typeof particleSphere.setColorMode === 'function') {
+            particleSphere.setColorMode({ mode: colorModeSelect.value });
+        }
+    });
+    
+    colorMappingSelect.addEventListener('change', () => {
+        if (particleSphere && typeof particleSphere.setColorMode === 'function') {
+            particleSphere.setColorMode({ mapping: colorMappingSelect.value });
+        }
+    });
+    
+    paletteSelect.addEventListener('change', () => {
+        if (particleSphere && typeof particleSphere.setPalette === 'function') {
+            particleSphere.setPalette(paletteSelect.value);
+        }
+    });
+    
+    syncColorControls(particleSphere.getColorMode());
+}
+
+/**
+ * Update the colour selects to match colour settings
+ */
+function syncColorControls(colorMode) {
+    const selects = [
+        ['colorModeSelect', colorMode.mode],
+        ['colorMappingSelect', colorMode.mapping],
+        ['paletteSelect', colorMode.palette]
+    ];
+    
+    selects.forEach(([selectId, value]) => {
+        const select = document.getElementById(selectId);
+        // Custom colours have no palette entry, so the select is left blank
+        if (select) {
+            select.value = value || '';
+        }
+    });
 }
 
 
@@ -150,6 +239,467 @@ function setupMorphingControls() {
 
 
 
+/**
+ * Setup spring physics controls; with physics on, clicking or tapping the sphere explodes it
+ */
+function setupPhysicsControls() {
+    const physicsButton = document.getElementById('physicsButton');
+    
+    physicsButton.addEventListener('click', () => {
+        if (particleSphere && typeof particleSphere.setPhysicsEnabled === 'function') {
+            particleSphere.setPhysicsEnabled(!particleSphere.physics.enabled);
+            physicsButton.textContent = particleSphere.physics.enabled ? 'Physics: On' : 'Physics: Off';
+        }
+    });
+    
+    // Stiffness slider
+    const stiffnessSlider = document.getElementById('stiffnessSlider');
+    const stiffnessValue = document.getElementById('stiffnessValue');
+    
+    stiffnessSlider.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        stiffnessValue.textContent = value;
+        if (particleSphere && typeof particleSphere.setPhysics === 'function') {
+            particleSphere.setPhysics({ stiffness: value });
+        }
+    });
+    
+    // Damping slider
+    const dampingSlider = document.getElementById('dampingSlider');
+    const dampingValue = document.getElementById('dampingValue');
+    
+    dampingSlider.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        dampingValue.textContent = value.toFixed(1);
+        if (particleSphere && typeof particleSphere.setPhysics === 'function') {
+            particleSphere.setPhysics({ damping: value });
+        }
+    });
+}
+
+
+
+/**
+ * Setup post-processing controls: a master switch, per-effect toggles and tuning sliders
+ */
+function setupPostProcessingControls() {
+    const postProcessingButton = document.getElementById('postProcessingButton');
+    
+    postProcessingButton.addEventListener('click', () => {
+        if (particleSphere && typeof particleSphere.setPostProcessingEnabled === 'function') {
+            particleSphere.setPostProcessingEnabled(!particleSphere.postProcessing.settings.enabled);
+            syncPostProcessingControls();
+        }
+    });
+    
+    // Per-effect toggles
+    document.querySelectorAll('[data-effect]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (particleSphere && typeof particleSphere.setPostProcessing === 'function') {
+                const effect = button.dataset.effect;
+                const enabled = !particleSphere.postProcessing.settings[effect].enabled;
+                particleSphere.setPostProcessing({ [effect]: { enabled } });
+                syncPostProcessingControls();
+            }
+        });
+    });
+    
+    POST_PROCESSING_SLIDERS.forEach(([sliderId, valueId, effect, setting, decimals]) => {
+        const slider = document.getElementById(sliderId);
+        const label = document.getElementById(valueId);
+        
+        slider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            label.textContent = value.toFixed(decimals);
+            if (particleSphere && typeof particleSphere.setPostProcessing === 'function') {
+                particleSphere.setPostProcessing({ [effect]: { [setting]: value } });
+            }
+        });
+    });
+    
+    // Effects may start off (low-end devices), so show the real settings
+    syncPostProcessingControls();
+}
+
+/**
+ * Update the post-processing buttons and sliders to match the visualizer
+ */
+function syncPostProcessingControls() {
+    if (!particleSphere || !particleSphere.postProcessing) {
+        return;
+    }
+    const settings = particleSphere.postProcessing.settings;
+    
+    const postProcessingButton = document.getElementById('postProcessingButton');
+    if (postProcessingButton) {
+        postProcessingButton.textContent = settings.enabled ? 'Effects: On' : 'Effects: Off';
+    }
+    
+    document.querySelectorAll('[data-effect]').forEach(button => {
+        const effect = settings[button.dataset.effect];
+        button.textContent = `${button.dataset.label}: ${effect.enabled ? 'On' : 'Off'}`;
+    });
+    
+    POST_PROCESSING_SLIDERS.forEach(([sliderId, valueId, effect, setting, decimals]) => {
+        const slider = document.getElementById(sliderId);
+        const label = document.getElementById(valueId);
+        const value = settings[effect][setting];
+        if (slider) {
+            slider.value = value;
+        }
+        if (label) {
+            label.textContent = value.toFixed(decimals);
+        }
+    });
+}
+
+
+
+/**
+ * Setup voice-assistant state buttons
+ */
+function setupAssistantStateControls() {
+    const stateButtons = document.querySelectorAll('[data-assistant-state]');
+    
+    stateButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (particleSphere && typeof particleSphere.setAssistantState === 'function') {
+                particleSphere.setAssistantState(button.dataset.assistantState);
+            }
+        });
+    });
+}
+
+
+
+/**
+ * Setup audio-reactive controls
+ */
+function setupAudioControls() {
+    let microphoneStream = null;
+    
+    // Release the microphone before another source takes over (or audio stops)
+    const stopMicrophone = () => {
+        if (microphoneStream) {
+            microphoneStream.getTracks().forEach(track => track.stop());
+            microphoneStream = null;
+        }
+    };
+    
+    // Local audio file, decoded and looped through the analyser
+    const audioFileInput = document.getElementById('audioFileInput');
+    
+    audioFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file && particleSphere) {
+            stopMicrophone();
+            particleSphere.setAudioSource(file).catch(error => {
+                console.error('Error loading audio file:', error);
+            });
+        }
+    });
+    
+    // Microphone input
+    const microphoneButton = document.getElementById('microphoneButton');
+    
+    microphoneButton.addEventListener('click', async () => {
+        stopMicrophone();
+        try {
+            microphoneStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            await particleSphere.setAudioSource(microphoneStream);
+        } catch (error) {
+            console.error('Error accessing microphone:', error);
+        }
+    });
+    
+    // Stop reacting to audio
+    const stopAudioButton = document.getElementById('stopAudioButton');
+    
+    stopAudioButton.addEventListener('click', () => {
+        if (particleSphere) {
+            particleSphere.clearAudioSource();
+        }
+        stopMicrophone();
+        audioFileInput.value = '';
+    });
+}
+
+
+
+/**
+ * Setup screenshot, PNG sequence and WebM export
+ */
+function setupExportControls() {
+    const sizeSelect = document.getElementById('exportSizeSelect');
+    const fpsSelect = document.getElementById('exportFpsSelect');
+    const durationSlider = document.getElementById('exportDurationSlider');
+    const durationValue = document.getElementById('exportDurationValue');
+    const transparentButton = document.getElementById('exportTransparentButton');
+    const status = document.getElementById('exportStatus');
+    let transparent = false;
+    
+    durationSlider.addEventListener('input', (e) => {
+        durationValue.textContent = `${e.target.value}s`;
+    });
+    
+    transparentButton.addEventListener('click', () => {
+        transparent = !transparent;
+        transparentButton.textContent = `Transparent: ${transparent ? 'On' : 'Off'}`;
+    });
+    
+    // Shared capture options; an empty size means the canvas size
+    const getOptions = () => {
+        const [width, height] = sizeSelect.value ? sizeSelect.value.split('x').map(Number) : [];
+        return { width, height, transparent };
+    };
+    
+    // Run one capture at a time and report how it went
+    const runExport = async (capture, filename) => {
+        if (!particleSphere || particleSphere.frameExporter && particleSphere.frameExporter.isExporting) {
+            return;
+        }
+        try {
+            downloadBlob(await capture(), filename);
+            status.textContent = 'Done';
+        } catch (error) {
+            console.error('Error exporting:', error);
+            status.textContent = 'Failed';
+            alert(`Could not export: ${error.message}`);
+        }
+    };
+    
+    document.getElementById('screenshotButton').addEventListener('click', () => {
+        runExport(() => particleSphere.captureScreenshot(getOptions()), 'orbit-sphere.png');
+    });
+    
+    ['png', 'webm'].forEach(format => {
+        const button = document.getElementById(format === 'png' ? 'exportPngButton' : 'exportWebmButton');
+        button.addEventListener('click', () => {
+            runExport(() => particleSphere.exportFrames({
+                ...getOptions(),
+                format,
+                fps: parseInt(fpsSelect.value),
+                duration: parseInt(durationSlider.value),
+                onProgress: (frame, total) => {
+                    status.textContent = `${frame}/${total}`;
+                }
+            }), format === 'png' ? 'orbit-sphere-frames.zip' : 'orbit-sphere.webm');
+        });
+    });
+}
+
+
+
+/**
+ * Setup the adaptive quality toggle and show the tier it has picked
+ */
+function setupQualityControls() {
+    const qualityButton = document.getElementById('adaptiveQualityButton');
+    const qualityValue = document.getElementById('qualityValue');
+    
+    const updateQualityDisplay = () => {
+        const manager = particleSphere.qualityManager;
+        qualityButton.textContent = manager ? 'Adaptive Quality: On' : 'Adaptive Quality: Off';
+        qualityValue.textContent = manager ? manager.getTierName() : 'high';
+    };
+    
+    qualityButton.addEventListener('click', () => {
+        if (particleSphere) {
+            particleSphere.setAdaptiveQuality(!particleSphere.qualityManager);
+            updateQualityDisplay();
+        }
+    });
+    
+    if (particleSphere) {
+        particleSphere.on('qualitychange', updateQualityDisplay);
+        updateQualityDisplay();
+    }
+}
+
+
+
+/**
+ * Setup the preset library: localStorage presets, JSON import/export and share links
+ */
+function setupPresetControls() {
+    presetLibrary = new PresetLibrary();
+    
+    const presetSelect = document.getElementById('presetSelect');
+    const presetNameInput = document.getElementById('presetNameInput');
+    
+    function refreshPresetList(selectedName) {
+        presetSelect.innerHTML = '';
+        presetLibrary.list().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            presetSelect.appendChild(option);
+        });
+        if (selectedName && presetLibrary.has(selectedName)) {
+            presetSelect.value = selectedName;
+        }
+    }
+    
+    function runPresetAction(action) {
+        try {
+            action();
+        } catch (error) {
+            console.error('Preset error:', error);
+            alert(error.message);
+        }
+    }
+    
+    presetSelect.addEventListener('change', () => {
+        presetNameInput.value = presetSelect.value;
+    });
+    
+    // Save current state under the typed name (or overwrite the selected preset)
+    document.getElementById('savePresetButton').addEventListener('click', () => {
+        runPresetAction(() => {
+            const name = presetNameInput.value || presetSelect.value;
+            presetLibrary.save(name, particleSphere.getState());
+            refreshPresetList(name.trim());
+        });
+    });
+    
+    document.getElementById('loadPresetButton').addEventListener('click', () => {
+        const state = presetLibrary.get(presetSelect.value);
+        if (state) {
+            runPresetAction(() => applyState(state));
+        }
+    });
+    
+    document.getElementById('renamePresetButton').addEventListener('click', () => {
+        runPresetAction(() => {
+            presetLibrary.rename(presetSelect.value, presetNameInput.value);
+            refreshPresetList(presetNameInput.value.trim());
+        });
+    });
+    
+    document.getElementById('deletePresetButton').addEventListener('click', () => {
+        if (presetSelect.value && confirm(`Delete preset "${presetSelect.value}"?`)) {
+            presetLibrary.remove(presetSelect.value);
+            presetNameInput.value = '';
+            refreshPresetList();
+        }
+    });
+    
+    // Download every preset as a JSON file
+    document.getElementById('exportPresetsButton').addEventListener('click', () => {
+        const blob = new Blob([presetLibrary.exportJSON()], { type: 'application/json' });
+        downloadBlob(blob, 'orbit-sphere-presets.json');
+    });
+    
+    const importPresetsInput = document.getElementById('importPresetsInput');
+    importPresetsInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            const names = presetLibrary.importJSON(await file.text());
+            refreshPresetList(names[0]);
+        } catch (error) {
+            console.error('Error importing presets:', error);
+            alert(`Could not import presets: ${error.message}`);
+        }
+        importPresetsInput.value = '';
+    });
+    
+    // Put the current look in the URL and copy the link
+    document.getElementById('copyLinkButton').addEventListener('click', () => {
+        const hash = PresetLibrary.encodeHash(particleSphere.getState());
+        history.replaceState(null, '', hash);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(window.location.href).catch(error => {
+                console.warn('Could not copy link:', error);
+            });
+        }
+    });
+    
+    refreshPresetList();
+}
+
+
+
+/**
+ * Save a Blob through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    // Some browsers start the download after click() returns, so the URL must outlive this task
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+}
+
+/**
+ * Apply a state to the visualizer and bring the sliders in line with it
+ */
+function applyState(state) {
+    if (!particleSphere) {
+        return;
+    }
+    particleSphere.setState(state);
+    syncControlsWithState(particleSphere.getState());
+}
+
+/**
+ * Apply the state carried in the URL hash, if any; the hash is untrusted, so failures are reported
+ */
+function applyStateFromHash() {
+    const state = PresetLibrary.decodeHash(window.location.hash);
+    if (!state) {
+        return;
+    }
+    try {
+        applyState(state);
+    } catch (error) {
+        console.error('Could not apply state from URL:', error);
+        alert(`Could not apply the shared state: ${error.message}`);
+    }
+}
+
+/**
+ * Update sliders and their value labels to match a state
+ */
+function syncControlsWithState(state) {
+    const controls = [
+        ['particleSizeSlider', 'particleSizeValue', state.particleSize, value => value.toFixed(3)],
+        ['particleCountSlider', 'particleCountValue', state.particleCount, value => value],
+        ['scatterSlider', 'scatterValue', state.scatterValue, value => value.toFixed(2)],
+        ['clusterSlider', 'clusterValue', state.clusterValue, value => value.toFixed(2)],
+        ['stiffnessSlider', 'stiffnessValue', state.physics && state.physics.stiffness, value => value],
+        ['dampingSlider', 'dampingValue', state.physics && state.physics.damping, value => value.toFixed(1)]
+    ];
+    
+    controls.forEach(([sliderId, valueId, value, format]) => {
+        const slider = document.getElementById(sliderId);
+        const label = document.getElementById(valueId);
+        if (slider && value !== undefined) {
+            slider.value = value;
+        }
+        if (label && value !== undefined) {
+            label.textContent = format(value);
+        }
+    });
+    
+    const physicsButton = document.getElementById('physicsButton');
+    if (physicsButton && state.physics) {
+        physicsButton.textContent = state.physics.enabled ? 'Physics: On' : 'Physics: Off';
+    }
+    
+    if (state.colorMode) {
+        syncColorControls(state.colorMode);
+    }
+    syncPostProcessingControls();
+}
+
+
+
 /**
  * Update slider values and display values
  */
@@ -0,0 +1,63 @@
+/**
+ * FrameExporter's zip packing under Node: CRC-32 and the stored-zip layout
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const FrameExporter = require('../js/FrameExporter.js');
+
+const bytes = text => new TextEncoder().encode(text);
+
+test('crc32() matches the IEEE check value', () => {
+    assert.strictEqual(FrameExporter.crc32(bytes('123456789')), 0xCBF43926);
+    assert.strictEqual(FrameExporter.crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip() stores each file with a local header, a directory entry and an end record', async () => {
+    const files = [
+        { name: 'frame-00000.png', data: new Blob([bytes('first frame')]) },
+        { name: 'frame-00001.png', data: new Blob([bytes('second')]) }
+    ];
+    const zip = await FrameExporter.createZip(files);
+    assert.strictEqual(zip.type, 'application/zip');
+    
+    const buffer = await zip.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    
+    // Local file headers followed by the stored data
+    let offset = 0;
+    const localOffsets = [];
+    for (const file of files) {
+        const content = new Uint8Array(await file.data.arrayBuffer());
+        localOffsets.push(offset);
+        assert.strictEqual(view.getUint32(offset, true), 0x04034b50);
+        assert.strictEqual(view.getUint16(offset + 8, true), 0);
+        assert.strictEqual(view.getUint32(offset + 14, true), FrameExporter.crc32(content));
+        assert.strictEqual(view.getUint32(offset + 18, true), content.length);
+        assert.strictEqual(view.getUint32(offset + 22, true), content.length);
+        
+        const nameLength = view.getUint16(offset + 26, true);
+        assert.strictEqual(decoder.decode(new Uint8Array(buffer, offset + 30, nameLength)), file.name);
+        const dataStart = offset + 30 + nameLength;
+        assert.deepStrictEqual(new Uint8Array(buffer, dataStart, content.length), content);
+        offset = dataStart + content.length;
+    }
+    
+    // Central directory entries point back at the local headers
+    const directoryStart = offset;
+    files.forEach((file, index) => {
+        assert.strictEqual(view.getUint32(offset, true), 0x02014b50);
+        assert.strictEqual(view.getUint32(offset + 42, true), localOffsets[index]);
+        const nameLength = view.getUint16(offset + 28, true);
+        assert.strictEqual(decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)), file.name);
+        offset += 46 + nameLength;
+    });
+    
+    // End of central directory record
+    assert.strictEqual(view.getUint32(offset, true), 0x06054b50);
+    assert.strictEqual(view.getUint16(offset + 8, true), files.length);
+    assert.strictEqual(view.getUint16(offset + 10, true), files.length);
+    assert.strictEqual(view.getUint32(offset + 12, true), offset - directoryStart);
+    assert.strictEqual(view.getUint32(offset + 16, true), directoryStart);
+    assert.strictEqual(offset + 22, buffer.byteLength);
+});
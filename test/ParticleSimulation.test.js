@@ -0,0 +1,132 @@
+/**
+ * ParticleSimulation under Node: seeded layouts, pointer repulsion and easing
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const ParticleSimulation = require('../js/ParticleSimulation.js');
+
+test('the same seed gives the same scatter and shape layouts', () => {
+    const first = new ParticleSimulation(200, { seed: 'demo' });
+    const second = new ParticleSimulation(200, { seed: 'demo' });
+    assert.deepStrictEqual(first.scatteredPositions, second.scatteredPositions);
+    
+    first.morphToShape('ring');
+    second.morphToShape('ring');
+    assert.deepStrictEqual(first.shapePositions, second.shapePositions);
+});
+
+test('ring targets lie on the torus around the ring radius', () => {
+    const simulation = new ParticleSimulation(300, { seed: 4 });
+    const targets = simulation.morphToShape('ring');
+    for (let i = 0; i < targets.length; i += 3) {
+        const fromAxis = Math.hypot(targets[i], targets[i + 1]);
+        assert.ok(fromAxis >= 2.5 - 1e-4 && fromAxis <= 3.5 + 1e-4, `distance from the axis ${fromAxis}`);
+        
+        // Distance from the ring's centre line is the tube radius
+        const fromCentreLine = Math.hypot(fromAxis - 3, targets[i + 2]);
+        assert.ok(Math.abs(fromCentreLine - 0.5) < 1e-4, `distance from the centre line ${fromCentreLine}`);
+    }
+    assert.strictEqual(simulation.shape, 'ring');
+});
+
+test("morphToShape('sphere') restores the resting sphere positions", () => {
+    const simulation = new ParticleSimulation(120, { seed: 8 });
+    simulation.morphToShape('ring', { seed: 'ring' });
+    assert.notDeepStrictEqual(simulation.shapePositions, simulation.originalPositions);
+    
+    simulation.morphToShape('sphere');
+    assert.deepStrictEqual(simulation.shapePositions, simulation.originalPositions);
+    assert.strictEqual(simulation.shape, 'sphere');
+    assert.deepStrictEqual(simulation.shapeOptions, {});
+});
+
+test('morphToShape() throws for unknown shapes and keeps the current targets', () => {
+    const simulation = new ParticleSimulation(40, { seed: 6 });
+    simulation.morphToShape('ring');
+    const before = simulation.shapePositions.slice();
+    
+    assert.throws(() => simulation.morphToShape('dodecahedron'), /Unknown shape "dodecahedron"/);
+    assert.strictEqual(simulation.shape, 'ring');
+    assert.deepStrictEqual(simulation.shapePositions, before);
+});
+
+test('other seeds give other layouts, and reseed() swaps them in place', () => {
+    const first = new ParticleSimulation(200, { seed: 1 });
+    const second = new ParticleSimulation(200, { seed: 2 });
+    assert.notDeepStrictEqual(first.scatteredPositions, second.scatteredPositions);
+    
+    first.morphToShape('smiley');
+    first.reseed(2);
+    second.morphToShape('smiley');
+    assert.strictEqual(first.seed, 2);
+    assert.deepStrictEqual(first.scatteredPositions, second.scatteredPositions);
+    assert.deepStrictEqual(first.shapePositions, second.shapePositions);
+});
+
+test('scatter positions stay in the shell between 0.2 and 1 times the scatter radius', () => {
+    const simulation = new ParticleSimulation(500, { seed: 7, scatterRadius: 10 });
+    const scattered = simulation.scatteredPositions;
+    for (let i = 0; i < scattered.length; i += 3) {
+        const distance = Math.hypot(scattered[i], scattered[i + 1], scattered[i + 2]);
+        assert.ok(distance >= 2 - 1e-4 && distance <= 10 + 1e-4, `distance ${distance}`);
+    }
+});
+
+test('applyRepulsion pushes targets near a pointer away and records the level', () => {
+    const simulation = new ParticleSimulation(50, { seed: 3 });
+    simulation.updateTargets(0, 1);
+    const before = simulation.targets.slice();
+    
+    // Half the interaction radius away from particle 0, along +x
+    const pointer = {
+        x: simulation.positions[0] + 1,
+        y: simulation.positions[1],
+        z: simulation.positions[2]
+    };
+    const levels = simulation.applyRepulsion([pointer], 2, 0.5);
+    
+    assert.strictEqual(levels[0], 0.5);
+    assert.ok(Math.abs(simulation.targets[0] - (before[0] - 0.25)) < 1e-6);
+    assert.ok(Math.abs(simulation.targets[1] - before[1]) < 1e-6);
+    
+    // Particles out of reach keep their targets
+    for (let i = 0; i < simulation.count; i++) {
+        if (levels[i] === 0) {
+            assert.strictEqual(simulation.targets[i * 3], before[i * 3]);
+        }
+    }
+});
+
+test('easeToTargets moves positions the given share of the way', () => {
+    const simulation = new ParticleSimulation(10, { seed: 5 });
+    simulation.updateTargets(1, 0);
+    const start = simulation.positions.slice();
+    const targets = simulation.targets;
+    
+    simulation.easeToTargets(0.5);
+    for (let i = 0; i < start.length; i++) {
+        assert.ok(Math.abs(simulation.positions[i] - (start[i] + targets[i]) / 2) < 1e-5);
+    }
+    
+    simulation.easeToTargets(1);
+    assert.deepStrictEqual(simulation.positions, targets);
+});
+
+test('step() covers the same ground at any frame rate', () => {
+    const at60 = new ParticleSimulation(20, { seed: 9 });
+    const at120 = new ParticleSimulation(20, { seed: 9 });
+    for (let i = 0; i < 30; i++) {
+        at60.step(1 / 60, { scatterValue: 1, clusterValue: 0 });
+    }
+    for (let i = 0; i < 60; i++) {
+        at120.step(1 / 120, { scatterValue: 1, clusterValue: 0 });
+    }
+    for (let i = 0; i < at60.positions.length; i++) {
+        assert.ok(Math.abs(at60.positions[i] - at120.positions[i]) < 1e-4);
+    }
+});
+
+test('the constructor rejects particle counts that are not positive integers', () => {
+    assert.throws(() => new ParticleSimulation(0), /positive integer/);
+    assert.throws(() => new ParticleSimulation(2.5), /positive integer/);
+});
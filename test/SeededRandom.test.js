@@ -0,0 +1,49 @@
+/**
+ * SeededRandom under Node: repeatable sequences, derived streams and option handling
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SeededRandom = require('../js/SeededRandom.js');
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+test('the same seed gives the same sequence, for numbers and strings', () => {
+    assert.deepStrictEqual(draw(new SeededRandom(42).next, 20), draw(new SeededRandom(42).next, 20));
+    assert.deepStrictEqual(draw(new SeededRandom('hero').next, 20), draw(new SeededRandom('hero').next, 20));
+    assert.notDeepStrictEqual(draw(new SeededRandom(42).next, 20), draw(new SeededRandom(43).next, 20));
+});
+
+test('next() stays in [0, 1) and works unbound', () => {
+    const next = new SeededRandom(7).next;
+    draw(next, 10000).forEach(value => {
+        assert.ok(value >= 0 && value < 1, `value ${value}`);
+    });
+});
+
+test('derive() gives repeatable streams that differ per label', () => {
+    const scatter = draw(SeededRandom.derive(5, 'scatter').next, 10);
+    assert.deepStrictEqual(scatter, draw(SeededRandom.derive(5, 'scatter').next, 10));
+    assert.notDeepStrictEqual(scatter, draw(SeededRandom.derive(5, 'impulse').next, 10));
+    assert.notDeepStrictEqual(scatter, draw(new SeededRandom(5).next, 10));
+});
+
+test('hash() maps seeds to unsigned 32-bit integers', () => {
+    [0, 1, -1, 'a', 'a longer seed', 2 ** 40].forEach(seed => {
+        const hash = SeededRandom.hash(seed);
+        assert.ok(Number.isInteger(hash) && hash >= 0 && hash < 2 ** 32, `hash ${hash}`);
+    });
+    assert.notStrictEqual(SeededRandom.hash('a'), SeededRandom.hash('b'));
+});
+
+test('randomSeed() returns unsigned 32-bit integers', () => {
+    const seed = SeededRandom.randomSeed();
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+});
+
+test('fromOptions() prefers options.random, then options.seed, then Math.random', () => {
+    const random = () => 0.25;
+    assert.strictEqual(SeededRandom.fromOptions({ random, seed: 1 }), random);
+    assert.deepStrictEqual(draw(SeededRandom.fromOptions({ seed: 3 }), 5), draw(new SeededRandom(3).next, 5));
+    assert.strictEqual(SeededRandom.fromOptions({}), Math.random);
+    assert.strictEqual(SeededRandom.fromOptions(), Math.random);
+});
@@ -0,0 +1,56 @@
+/**
+ * ShapeRegistry under Node: registration, parent lookups and generator output normalisation
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const ShapeRegistry = require('../js/ShapeRegistry.js');
+
+test('register() rejects reserved names and non-function generators', () => {
+    const registry = new ShapeRegistry();
+    assert.throws(() => registry.register('sphere', () => []), /reserved/);
+    assert.throws(() => registry.register('', () => []), /non-empty string/);
+    assert.throws(() => registry.register('dot', 42), /must be a function/);
+});
+
+test('instance registries see their parent shapes and may override them', () => {
+    const parent = new ShapeRegistry().register('dot', () => [0, 0, 0]);
+    const child = new ShapeRegistry(parent).register('line', () => [0, 0, 0, 1, 0, 0]);
+    
+    assert.ok(child.has('dot'));
+    assert.ok(!parent.has('line'));
+    assert.deepStrictEqual(child.list().sort(), ['dot', 'line']);
+    
+    child.register('dot', () => [1, 1, 1]);
+    assert.deepStrictEqual(Array.from(child.generate('dot', 1)), [1, 1, 1]);
+    assert.deepStrictEqual(Array.from(parent.generate('dot', 1)), [0, 0, 0]);
+    
+    assert.ok(child.unregister('dot'));
+    assert.deepStrictEqual(Array.from(child.generate('dot', 1)), [0, 0, 0]);
+});
+
+test('generate() flattens point arrays and wraps short outputs to the particle count', () => {
+    const registry = new ShapeRegistry().register('pair', () => [{ x: 1, y: 2, z: 3 }, { x: 4, y: 5 }]);
+    const positions = registry.generate('pair', 3);
+    
+    assert.ok(positions instanceof Float32Array);
+    assert.deepStrictEqual(Array.from(positions), [1, 2, 3, 4, 5, 0, 1, 2, 3]);
+});
+
+test('generate() throws for unknown shapes and shapes without positions', () => {
+    const registry = new ShapeRegistry().register('empty', () => []);
+    assert.throws(() => registry.generate('missing', 10), /Unknown shape "missing"\. Registered shapes: empty/);
+    assert.throws(() => registry.generate('empty', 10), /produced no positions/);
+});
+
+test('seeded generators repeat their layout for the same seed', () => {
+    const first = ShapeRegistry.global.generate('ring', 64, { seed: 'same' });
+    const second = ShapeRegistry.global.generate('ring', 64, { seed: 'same' });
+    const other = ShapeRegistry.global.generate('ring', 64, { seed: 'other' });
+    
+    assert.deepStrictEqual(first, second);
+    assert.notDeepStrictEqual(first, other);
+});
+
+test('the global registry holds the built-in shapes', () => {
+    assert.deepStrictEqual(ShapeRegistry.global.list().sort(), ['ring', 'smiley', 'thumbs']);
+});